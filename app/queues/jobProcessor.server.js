@@ -1,63 +1,110 @@
-import { processInventoryLevelUpdate, processOrderCancellation, processProductCreate, processProductUpdate, processWebhookPayloadWithSKUs, processRefund, processOrderEdit } from "../utils/helper";
+import { processInventoryLevelUpdate, processOrderCancellation, processProductCreate, processProductUpdate, processWebhookPayloadWithSKUs, processRefund, processOrderEdit, processOrderFulfillment } from "../utils/helper";
+import { unauthenticated } from "../shopify.server";
+import { claimWebhookEvent, completeWebhookEvent, failWebhookEvent, releaseWebhookEvent } from "../utils/webhookEvents.server";
+import { trackSKULocks } from "../utils/skuLock.server";
 
 // Single worker to process all webhook types
 export const processWebhook = async (job) => {
-    const { session, type, payload } = job.data;
+    const { type, webhookId, payload } = job.data;
+    // Jobs queued before the switch to shop-only job data still carry the whole session
+    const shop = job.data.shop || job.data.session?.shop;
+    // Notes whether the job took a SKU lock, after which a retry could change the pool twice
+    const lockTracker = { locked: false };
     // console.log(payload)
     try {
-        let result;
-        switch (type) {
-            case "order_create":
-                console.log(">>> 📦 Processing order creation");
-                result = await processWebhookPayloadWithSKUs(session, payload);
-                // await new Promise(resolve => setTimeout(resolve, 15000));
-                break;
-
-            case "inventory_update":
-                console.log(">>> 📊 Processing inventory update");
-                result = await processInventoryLevelUpdate(session, payload);
-                // await new Promise(resolve => setTimeout(resolve, 15000));
-                break;
-
-            case "order_cancelled":
-            case "order_fulfilled":
-                console.log(">>> 🔄 Processing order status change:", type);
-                result = await processOrderCancellation(
-                    session,
-                    payload,
-                    type.split("_")[1],
-                );
-                // await new Promise(resolve => setTimeout(resolve, 15000));
-                break;
-
-            case "product_create":
-                console.log(">>> ➕ Processing product creation");
-                result = await processProductCreate(session, payload);
-                // await new Promise(resolve => setTimeout(resolve, 15000));
-                break;
-
-            case "product_update":
-                console.log(">>> 🔄 Processing product update");
-                result = await processProductUpdate(session, payload);
-                // await new Promise(resolve => setTimeout(resolve, 15000));
-                break;
-
-            case "refund_create":
-                console.log(">>> 💰 Processing refund");
-                result = await processRefund(session, payload);
-                break;
-
-            case "order_edited":
-                console.log(">>> ✏️ Processing order edit");
-                result = await processOrderEdit(session, payload);
-                break;
-
-            default:
-                console.log("⚠️ Unknown webhook type:", type);
-                result = {
-                    success: false,
-                    error: `Unknown webhook type: ${type}`,
+        // Load the offline session when the job runs, so the access token never sits in Redis
+        // and retries after a token rotation pick up the fresh one
+        const { session } = await unauthenticated.admin(shop);
+
+        // Shopify redelivers webhooks, so each X-Shopify-Webhook-Id is only processed once
+        if (webhookId) {
+            const claimed = await claimWebhookEvent({
+                shop,
+                webhookId,
+                type,
+                jobId: job.id,
+            });
+
+            if (!claimed) {
+                console.log(`⏭️ Webhook ${webhookId} (${type}) already processed, skipping`);
+                return {
+                    success: true,
+                    data: {
+                        skipped: true,
+                        reason: "Webhook already processed",
+                    },
                 };
+            }
+        }
+
+        let result;
+        await trackSKULocks(lockTracker, async () => {
+            switch (type) {
+                case "order_create":
+                    console.log(">>> 📦 Processing order creation");
+                    result = await processWebhookPayloadWithSKUs(session, payload);
+                    // await new Promise(resolve => setTimeout(resolve, 15000));
+                    break;
+
+                case "inventory_update":
+                    console.log(">>> 📊 Processing inventory update");
+                    result = await processInventoryLevelUpdate(session, payload);
+                    // await new Promise(resolve => setTimeout(resolve, 15000));
+                    break;
+
+                case "order_cancelled":
+                    console.log(">>> 🔄 Processing order status change:", type);
+                    result = await processOrderCancellation(
+                        session,
+                        payload,
+                        type.split("_")[1],
+                    );
+                    // await new Promise(resolve => setTimeout(resolve, 15000));
+                    break;
+
+                case "product_create":
+                    console.log(">>> ➕ Processing product creation");
+                    result = await processProductCreate(session, payload);
+                    // await new Promise(resolve => setTimeout(resolve, 15000));
+                    break;
+
+                case "product_update":
+                    console.log(">>> 🔄 Processing product update");
+                    result = await processProductUpdate(session, payload);
+                    // await new Promise(resolve => setTimeout(resolve, 15000));
+                    break;
+
+                case "refund_create":
+                    console.log(">>> 💰 Processing refund");
+                    result = await processRefund(session, payload);
+                    break;
+
+                case "order_edited":
+                    console.log(">>> ✏️ Processing order edit");
+                    result = await processOrderEdit(session, payload);
+                    break;
+
+                case "order_fulfilled":
+                case "fulfillment_create":
+                    console.log(">>> 🚚 Processing fulfillment:", type);
+                    result = await processOrderFulfillment(session, payload, type);
+                    break;
+
+                default:
+                    console.log("⚠️ Unknown webhook type:", type);
+                    result = {
+                        success: false,
+                        error: `Unknown webhook type: ${type}`,
+                    };
+            }
+        });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        if (webhookId) {
+            await completeWebhookEvent(webhookId);
         }
 
         console.log(`✅ Webhook job ${job.id} completed:`, {
@@ -73,9 +120,25 @@ export const processWebhook = async (job) => {
             error: error.message,
             stack: error.stack,
         });
-        return {
-            success: false,
-            error: error.message,
-        };
+        if (lockTracker.locked) {
+            // Sub-SKU pools may already be partly changed, so the job is not retried and the claim is kept
+            if (webhookId) {
+                await failWebhookEvent(webhookId, error.message).catch((failError) =>
+                    console.error(`❌ Could not mark webhook ${webhookId} as failed:`, failError),
+                );
+            }
+            return {
+                success: false,
+                error: error.message,
+            };
+        }
+
+        // Nothing was changed yet, drop the claim and let BullMQ retry the job
+        if (webhookId) {
+            await releaseWebhookEvent(webhookId).catch((releaseError) =>
+                console.error(`❌ Could not release webhook ${webhookId}:`, releaseError),
+            );
+        }
+        throw error;
     }
 };
@@ -26,17 +26,14 @@ webhookQueue.on("waiting", (job) => {
 // Worker configuration
 const workerConfig = {
   connection: redisClient,
-  concurrency: 1, // Process one job at a time
+  // Sub-SKU pool updates are serialised per SKU by a Redis lock, so jobs can run in parallel
+  concurrency: parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY || "1"),
   settings: {
     stalledInterval: 30000,
     maxStalledCount: 1,
     lockDuration: 60000, // Increased lock duration to 60 seconds
     lockRenewTime: 30000, // Renew lock every 30 seconds
     drainDelay: 5 // Add delay between jobs
-  },
-  limiter: {
-    max: 1,
-    duration: 1000
   }
 };
 
@@ -0,0 +1,88 @@
+import { Queue, Worker } from "bullmq";
+import redisClient from "../config/redis.server";
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { RECONCILIATION_MODES, runReconciliation } from "../utils/reconciliation.server";
+
+// Full Shopify vs sub-SKU pool reconciliations, on a schedule and on demand from the admin
+export const reconciliationQueue = new Queue("reconciliation", {
+  connection: redisClient,
+  defaultJobOptions: {
+    removeOnComplete: true,
+    removeOnFail: false,
+    attempts: 1,
+  },
+});
+
+/**
+ * Queue a reconciliation run for one shop
+ * @param {string} shop - Shop domain
+ * @param {{mode?: string, trigger?: string, writeSheet?: boolean}} options - See runReconciliation
+ */
+export async function queueReconciliation(shop, options = {}) {
+  return reconciliationQueue.add("reconcile-shop", { shop, ...options });
+}
+
+async function processReconciliation(job) {
+  // The scheduled job fans out to one job per installed shop
+  if (job.name === "reconcile-all-shops") {
+    const sessions = await db.session.findMany({
+      where: { isOnline: false },
+      select: { shop: true },
+      distinct: ["shop"],
+    });
+
+    for (const { shop } of sessions) {
+      await queueReconciliation(shop, { ...job.data, trigger: "schedule" });
+    }
+
+    return { shops: sessions.length };
+  }
+
+  const { shop, mode, trigger, writeSheet } = job.data;
+  const { session } = await unauthenticated.admin(shop);
+  const report = await runReconciliation(session, { mode, trigger, writeSheet });
+
+  return { reportId: report.id, driftCount: report.driftCount };
+}
+
+export const reconciliationWorker = new Worker("reconciliation", processReconciliation, {
+  connection: redisClient,
+  concurrency: 1,
+  // A full catalogue scan can take minutes
+  lockDuration: 300000,
+});
+
+reconciliationWorker.on("completed", (job, result) => {
+  console.log(`✅ Reconciliation job ${job.name}::${job.id} completed:`, result);
+});
+
+reconciliationWorker.on("failed", (job, err) => {
+  console.error(`❌ Reconciliation job ${job?.name}::${job?.id} failed:`, err.message);
+});
+
+// RECONCILIATION_CRON=off disables the scheduled run
+const schedule = process.env.RECONCILIATION_CRON || "0 3 * * *";
+if (schedule !== "off") {
+  reconciliationQueue
+    .upsertJobScheduler(
+      "reconcile-all-shops",
+      { pattern: schedule },
+      {
+        name: "reconcile-all-shops",
+        data: {
+          mode: process.env.RECONCILIATION_MODE || RECONCILIATION_MODES.DRY_RUN,
+          writeSheet: process.env.RECONCILIATION_SHEET === "true",
+        },
+      },
+    )
+    .catch((error) => {
+      console.error("❌ Error scheduling reconciliation:", error);
+    });
+} else {
+  reconciliationQueue.removeJobScheduler("reconcile-all-shops").catch(() => {});
+}
+
+process.on("SIGTERM", async () => {
+  await reconciliationWorker.close();
+});
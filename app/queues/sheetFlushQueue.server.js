@@ -0,0 +1,40 @@
+import { Queue, Worker } from "bullmq";
+import redisClient from "../config/redis.server";
+import { writeSheetBatch } from "../utils/googleSheet.server";
+
+// Buffered sheet writes that failed to flush are kept here and retried until Sheets accepts them
+export const sheetFlushQueue = new Queue("sheet-flush", {
+  connection: redisClient,
+  defaultJobOptions: {
+    removeOnComplete: true,
+    removeOnFail: false,
+    attempts: 10,
+    backoff: {
+      type: 'exponential',
+      delay: 5000
+    }
+  }
+});
+
+export const sheetFlushWorker = new Worker(
+  "sheet-flush",
+  async (job) => {
+    await writeSheetBatch(job.data.batch);
+  },
+  {
+    connection: redisClient,
+    concurrency: 1,
+  }
+);
+
+sheetFlushWorker.on("completed", (job) => {
+  console.log(`✅ Sheet flush ${job.id} retried successfully`);
+});
+
+sheetFlushWorker.on("failed", (job, err) => {
+  console.error(`❌ Sheet flush ${job?.id} failed (attempt ${job?.attemptsMade}):`, err.message);
+});
+
+process.on("SIGTERM", async () => {
+  await sheetFlushWorker.close();
+});
@@ -0,0 +1,34 @@
+import { authenticate } from "../shopify.server";
+import { getSubSKULabels, renderLabelsZPL } from "../utils/subSkuLabels.server";
+
+// GET ?sku=ABC or ?subSKUs=ABC-0001,ABC-0002, optional &symbology=code128|qr
+// Returns a ZPL sheet with one label per sub-SKU (every available unit when only a SKU is given)
+export async function loader({ request }) {
+  const { admin, session, cors } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+
+  try {
+    const labels = await getSubSKULabels(admin, session.shop, {
+      sku: params.get("sku")?.trim(),
+      subSKUs: (params.get("subSKUs") || "").split(/[\s,]+/),
+    });
+
+    return cors(
+      new Response(renderLabelsZPL(labels, params.get("symbology") || undefined), {
+        status: 200,
+        headers: {
+          "Content-Type": "application/zpl; charset=utf-8",
+          "Content-Disposition": `attachment; filename="labels.zpl"`,
+        },
+      }),
+    );
+  } catch (error) {
+    console.error("❌ Error rendering labels:", error);
+    return cors(
+      new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  }
+}
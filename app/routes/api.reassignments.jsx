@@ -0,0 +1,43 @@
+import { authenticate } from "../shopify.server";
+import { reassignSubSKU } from "../utils/subSkuReassignment.server";
+
+// POST { orderId, lineItemId, subSKU: "ABC-0042", replacement?: "ABC-0051", note? }
+// Frees the assigned sub-SKU and assigns the replacement (or the next available unit) to the line item
+export async function action({ request }) {
+  const { admin, session, cors } = await authenticate.admin(request);
+
+  if (request.method !== "POST") {
+    return cors(
+      new Response(JSON.stringify({ error: "Method not allowed" }), {
+        status: 405,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  }
+
+  try {
+    const body = await request.json();
+    const reassigned = await reassignSubSKU(admin, session, {
+      orderId: body.orderId,
+      lineItemId: body.lineItemId,
+      subSKU: body.subSKU,
+      replacement: body.replacement,
+      note: body.note,
+    });
+
+    return cors(
+      new Response(JSON.stringify({ reassigned }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  } catch (error) {
+    console.error("❌ Error reassigning subSKU:", error);
+    return cors(
+      new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  }
+}
@@ -0,0 +1,51 @@
+import { authenticate } from "../shopify.server";
+import { saveRefundSelection } from "../utils/refundSelection.server";
+
+// POST { orderId, refundId?, orderEditId?, lineItems: { [lineItemId]: ["ABC-0042"] } }
+// Saves the sub-SKUs the refund (or order edit) job should release for the order
+export async function action({ request }) {
+  const { session, cors } = await authenticate.admin(request);
+
+  if (request.method !== "POST") {
+    return cors(
+      new Response(JSON.stringify({ error: "Method not allowed" }), {
+        status: 405,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  }
+
+  try {
+    const body = await request.json();
+    const selection = await saveRefundSelection(session.shop, {
+      orderId: body.orderId,
+      refundId: body.refundId,
+      orderEditId: body.orderEditId,
+      lineItems: body.lineItems,
+    });
+
+    return cors(
+      new Response(
+        JSON.stringify({
+          id: selection.id,
+          orderId: selection.orderId,
+          refundId: selection.refundId,
+          orderEditId: selection.orderEditId,
+          lineItems: selection.lineItems,
+        }),
+        {
+          status: 201,
+          headers: { "Content-Type": "application/json" },
+        },
+      ),
+    );
+  } catch (error) {
+    console.error("❌ Error saving refund selection:", error);
+    return cors(
+      new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  }
+}
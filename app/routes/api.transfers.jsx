@@ -0,0 +1,42 @@
+import { authenticate } from "../shopify.server";
+import { transferSubSKUs } from "../utils/stockTransfer.server";
+
+// POST { subSKUs: ["ABC-0042"], fromLocationId, toLocationId, note? }
+// Moves the sub-SKUs between locations in the pool and in Shopify
+export async function action({ request }) {
+  const { admin, session, cors } = await authenticate.admin(request);
+
+  if (request.method !== "POST") {
+    return cors(
+      new Response(JSON.stringify({ error: "Method not allowed" }), {
+        status: 405,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  }
+
+  try {
+    const body = await request.json();
+    const transferred = await transferSubSKUs(admin, session.shop, {
+      subSKUs: body.subSKUs,
+      fromLocationId: body.fromLocationId,
+      toLocationId: body.toLocationId,
+      note: body.note,
+    });
+
+    return cors(
+      new Response(JSON.stringify({ transferred }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  } catch (error) {
+    console.error("❌ Error transferring subSKUs:", error);
+    return cors(
+      new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      }),
+    );
+  }
+}
@@ -1,23 +1,38 @@
+import { useLoaderData } from "@remix-run/react";
 import {
   Page,
   Layout,
   Text,
   Card,
   BlockStack,
+  Banner,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { getHeldLineItems } from "../utils/heldLineItems.server";
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-  return null;
+  const { session } = await authenticate.admin(request);
+  const heldLineItems = await getHeldLineItems(session.shop);
+  return { heldCount: heldLineItems.length };
 };
 
 export default function Index() {
+  const { heldCount } = useLoaderData();
+
   return (
     <Page>
       <TitleBar title="Product & Order Analytics" />
       <Layout>
+        {heldCount > 0 && (
+          <Layout.Section>
+            <Banner
+              tone="warning"
+              title={`${heldCount} order line ${heldCount === 1 ? "item is" : "items are"} waiting for sub-SKUs`}
+              action={{ content: "Assign sub-SKUs", url: "/app/allocation" }}
+            />
+          </Layout.Section>
+        )}
         <Layout.Section>
           <Card>
             <BlockStack gap="500">
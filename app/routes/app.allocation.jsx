@@ -0,0 +1,273 @@
+import { useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Layout,
+  Link,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getAllocationSettings,
+  setOversellPolicy,
+  setShopAllocationStrategy,
+  setSKUAllocationStrategy,
+} from "../utils/allocationStrategy.server";
+import { getHeldLineItems } from "../utils/heldLineItems.server";
+import { assignHeldLineItem } from "../utils/subSkuReassignment.server";
+
+const STRATEGY_OPTIONS = [
+  { label: "FIFO (first received first)", value: "fifo" },
+  { label: "LIFO (last received first)", value: "lifo" },
+  { label: "Heaviest first", value: "heaviest" },
+  { label: "Lightest first", value: "lightest" },
+  { label: "Nearest to the variant weight", value: "nearest_weight" },
+  { label: "Explicit only (hold orders for manual assignment)", value: "explicit" },
+];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, heldLineItems] = await Promise.all([
+    getAllocationSettings(session.shop),
+    getHeldLineItems(session.shop),
+  ]);
+
+  return {
+    ...settings,
+    heldLineItems: heldLineItems.map((held) => ({
+      ...held,
+      createdAt: held.createdAt.toISOString(),
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "shop") {
+      await setShopAllocationStrategy(session.shop, formData.get("strategy"));
+    } else if (intent === "oversell") {
+      await setOversellPolicy(session.shop, formData.get("oversellPolicy"));
+    } else if (intent === "sku") {
+      await setSKUAllocationStrategy(
+        session.shop,
+        formData.get("sku")?.trim(),
+        formData.get("strategy") || null,
+      );
+    } else if (intent === "assign") {
+      const assigned = await assignHeldLineItem(
+        admin,
+        session,
+        formData.get("heldId"),
+        (formData.get("subSKUs") || "").split(/[\s,]+/),
+      );
+      return { assigned };
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { success: true };
+};
+
+const OVERSELL_OPTIONS = [
+  { label: "Create the missing sub-SKUs", value: "mint" },
+  { label: "Strict: hold the line item until stock arrives", value: "strict" },
+];
+
+const HOLD_REASON_LABELS = {
+  explicit: "Explicit allocation",
+  size_unavailable: "No unit of this size",
+  out_of_stock: "Out of stock",
+};
+
+function strategyLabel(strategy) {
+  return STRATEGY_OPTIONS.find((option) => option.value === strategy)?.label || strategy;
+}
+
+function ShopStrategyForm({ strategy }) {
+  const navigation = useNavigation();
+  const [value, setValue] = useState(strategy);
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="intent" value="shop" />
+      <InlineStack gap="200" blockAlign="end">
+        <Select
+          label="Shop allocation strategy"
+          name="strategy"
+          options={STRATEGY_OPTIONS}
+          value={value}
+          onChange={setValue}
+        />
+        <Button submit loading={navigation.state === "submitting"}>
+          Save
+        </Button>
+      </InlineStack>
+    </Form>
+  );
+}
+
+function OversellPolicyForm({ oversellPolicy }) {
+  const navigation = useNavigation();
+  const [value, setValue] = useState(oversellPolicy);
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="intent" value="oversell" />
+      <InlineStack gap="200" blockAlign="end">
+        <Select
+          label="When an order needs more sub-SKUs than are available"
+          name="oversellPolicy"
+          options={OVERSELL_OPTIONS}
+          value={value}
+          onChange={setValue}
+        />
+        <Button submit loading={navigation.state === "submitting"}>
+          Save
+        </Button>
+      </InlineStack>
+    </Form>
+  );
+}
+
+function SKUOverrideForm() {
+  const navigation = useNavigation();
+  const [sku, setSku] = useState("");
+  const [strategy, setStrategy] = useState("");
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="intent" value="sku" />
+      <InlineStack gap="200" blockAlign="end">
+        <TextField label="SKU" name="sku" value={sku} onChange={setSku} autoComplete="off" />
+        <Select
+          label="Strategy"
+          name="strategy"
+          options={[{ label: "Use the shop strategy", value: "" }, ...STRATEGY_OPTIONS]}
+          value={strategy}
+          onChange={setStrategy}
+        />
+        <Button submit loading={navigation.state === "submitting"}>
+          Set override
+        </Button>
+      </InlineStack>
+    </Form>
+  );
+}
+
+function AssignForm({ held }) {
+  const navigation = useNavigation();
+  const [subSKUs, setSubSKUs] = useState("");
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="intent" value="assign" />
+      <input type="hidden" name="heldId" value={held.id} />
+      <InlineStack gap="200" blockAlign="end" wrap={false}>
+        <TextField
+          label="Sub-SKUs"
+          labelHidden
+          name="subSKUs"
+          value={subSKUs}
+          onChange={setSubSKUs}
+          placeholder={`${held.quantity} × ${held.sku}-…, or empty to allocate from stock`}
+          autoComplete="off"
+        />
+        <Button submit loading={navigation.state === "submitting"}>
+          Assign
+        </Button>
+      </InlineStack>
+    </Form>
+  );
+}
+
+export default function Allocation() {
+  const { strategy, oversellPolicy, overrides, heldLineItems } = useLoaderData();
+  const actionData = useActionData();
+
+  return (
+    <Page>
+      <TitleBar title="Allocation" />
+      <Layout>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{actionData.error}</Banner>
+          </Layout.Section>
+        )}
+        {actionData?.assigned && (
+          <Layout.Section>
+            <Banner tone="success">
+              Assigned {actionData.assigned.assigned.join(", ")}.
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="p" variant="bodyMd">
+                Decides which available sub-SKUs new orders and order edits take, and which ones are
+                removed when Shopify&apos;s stock goes down.
+              </Text>
+              <ShopStrategyForm key={strategy} strategy={strategy} />
+              <OversellPolicyForm key={oversellPolicy} oversellPolicy={oversellPolicy} />
+              <Text as="h2" variant="headingMd">
+                SKU overrides
+              </Text>
+              {overrides.length > 0 && (
+                <DataTable
+                  columnContentTypes={["text", "text"]}
+                  headings={["SKU", "Strategy"]}
+                  rows={overrides.map((override) => [override.sku, strategyLabel(override.strategy)])}
+                />
+              )}
+              <SKUOverrideForm />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Waiting for sub-SKUs
+              </Text>
+              {heldLineItems.length === 0 ? (
+                <Text as="p" tone="subdued">
+                  No line items are waiting.
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={["text", "text", "numeric", "text", "text", "text", "text"]}
+                  headings={["Order", "SKU", "Quantity", "Size", "Reason", "Held", "Assign"]}
+                  rows={heldLineItems.map((held) => [
+                    <Link key={held.id} url={`shopify:admin/orders/${held.orderId}`} target="_blank">
+                      {held.orderName}
+                    </Link>,
+                    held.sku,
+                    held.quantity,
+                    held.size || "",
+                    HOLD_REASON_LABELS[held.reason] || held.reason,
+                    new Date(held.createdAt).toLocaleString(),
+                    <AssignForm key={held.id} held={held} />,
+                  ])}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
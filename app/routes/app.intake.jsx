@@ -0,0 +1,199 @@
+import { useState } from "react";
+import { Form, Link, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  FormLayout,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getShopLocations } from "../utils/inventorySync.server";
+import { receiveStock } from "../utils/stockIntake.server";
+import { getHeldLineItems } from "../utils/heldLineItems.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  return { locations: await getShopLocations(admin) };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    const received = await receiveStock(admin, session.shop, {
+      variantId: formData.get("variantId"),
+      locationId: formData.get("locationId"),
+      count: formData.get("count"),
+      weights: formData.getAll("weight").map((weight) => parseFloat(weight)),
+      size: formData.get("size") || "",
+      supplierName: formData.get("supplierName") || "",
+      supplierAddress: formData.get("supplierAddress") || "",
+      note: formData.get("note") || "",
+    });
+    const waiting = (await getHeldLineItems(session.shop)).filter((held) => held.sku === received.sku);
+    return { received, waiting: waiting.length };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+export default function StockIntake() {
+  const { locations } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const shopify = useAppBridge();
+  const [variant, setVariant] = useState(null);
+  const [locationId, setLocationId] = useState(locations[0]?.id || "");
+  const [count, setCount] = useState("1");
+  const [weights, setWeights] = useState([""]);
+  const [size, setSize] = useState("");
+  const [supplierName, setSupplierName] = useState("");
+  const [supplierAddress, setSupplierAddress] = useState("");
+  const [note, setNote] = useState("");
+
+  const pickVariant = async () => {
+    const selection = await shopify.resourcePicker({ type: "variant", multiple: false });
+    if (selection?.[0]) {
+      setVariant(selection[0]);
+    }
+  };
+
+  const changeCount = (value) => {
+    setCount(value);
+    const units = Math.min(Math.max(parseInt(value) || 0, 0), 500);
+    setWeights((current) => Array.from({ length: units }, (_, index) => current[index] || ""));
+  };
+
+  const changeWeight = (index, value) => {
+    setWeights((current) => current.map((weight, i) => (i === index ? value : weight)));
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Stock intake" />
+      <Layout>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{actionData.error}</Banner>
+          </Layout.Section>
+        )}
+        {actionData?.received && (
+          <Layout.Section>
+            <Banner tone="success">
+              Received {actionData.received.subSKUs.length} units of {actionData.received.sku}:{" "}
+              {actionData.received.subSKUs.join(", ")}.{" "}
+              <Link to={`/app/labels?subSKUs=${encodeURIComponent(actionData.received.subSKUs.join(","))}`}>
+                Print labels
+              </Link>
+            </Banner>
+          </Layout.Section>
+        )}
+        {actionData?.waiting > 0 && (
+          <Layout.Section>
+            <Banner tone="warning">
+              {actionData.waiting} held order line {actionData.waiting === 1 ? "item is" : "items are"} waiting
+              for {actionData.received.sku}. <Link to="/app/allocation">Allocate them</Link>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <Form method="post">
+              <input type="hidden" name="variantId" value={variant?.id || ""} />
+              <FormLayout>
+                <BlockStack gap="200">
+                  <Text as="p" variant="bodyMd">
+                    {variant
+                      ? `${variant.displayName || variant.title}${variant.sku ? ` (${variant.sku})` : ""}`
+                      : "No variant selected"}
+                  </Text>
+                  <InlineStack>
+                    <Button onClick={pickVariant}>{variant ? "Change variant" : "Select variant"}</Button>
+                  </InlineStack>
+                </BlockStack>
+                <Select
+                  label="Receiving location"
+                  name="locationId"
+                  options={locations.map((location) => ({ label: location.name, value: location.id }))}
+                  value={locationId}
+                  onChange={setLocationId}
+                />
+                <TextField
+                  label="Units received"
+                  name="count"
+                  type="number"
+                  min={1}
+                  max={500}
+                  value={count}
+                  onChange={changeCount}
+                  autoComplete="off"
+                />
+                {weights.map((weight, index) => (
+                  <TextField
+                    key={index}
+                    label={`Unit ${index + 1} weight`}
+                    name="weight"
+                    type="number"
+                    suffix="g"
+                    value={weight}
+                    onChange={(value) => changeWeight(index, value)}
+                    autoComplete="off"
+                  />
+                ))}
+                <TextField
+                  label="Size"
+                  name="size"
+                  value={size}
+                  onChange={setSize}
+                  helpText="Only for made-to-measure items. Orders with a matching selected size get these units."
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Supplier name"
+                  name="supplierName"
+                  value={supplierName}
+                  onChange={setSupplierName}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Supplier address"
+                  name="supplierAddress"
+                  value={supplierAddress}
+                  onChange={setSupplierAddress}
+                  multiline={2}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Note"
+                  name="note"
+                  value={note}
+                  onChange={setNote}
+                  multiline={2}
+                  autoComplete="off"
+                />
+                <Button
+                  submit
+                  variant="primary"
+                  disabled={!variant}
+                  loading={navigation.state === "submitting"}
+                >
+                  Receive stock
+                </Button>
+              </FormLayout>
+            </Form>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -22,6 +22,15 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/lookup">Sub-SKU lookup</Link>
+        <Link to="/app/returns">Returns</Link>
+        <Link to="/app/intake">Stock intake</Link>
+        <Link to="/app/transfers">Stock transfer</Link>
+        <Link to="/app/stock">Stock weight</Link>
+        <Link to="/app/labels">Labels</Link>
+        <Link to="/app/packing">Pick &amp; verify</Link>
+        <Link to="/app/allocation">Allocation</Link>
+        <Link to="/app/reconciliation">Reconciliation</Link>
         {/* <Link to="/app/additional">Additional page</Link> */}
       </NavMenu>
       <Outlet />
@@ -0,0 +1,134 @@
+import { useState } from "react";
+import { Form, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getSubSKULabels, renderLabelsZPL } from "../utils/subSkuLabels.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+  const sku = params.get("sku")?.trim() || "";
+  const subSKUs = params.get("subSKUs") || "";
+  const symbology = params.get("symbology") || "code128";
+
+  if (!sku && !subSKUs) {
+    return { sku, subSKUs, symbology, labels: [], zpl: "" };
+  }
+
+  try {
+    const labels = await getSubSKULabels(admin, session.shop, {
+      sku,
+      subSKUs: subSKUs.split(/[\s,]+/),
+    });
+    return { sku, subSKUs, symbology, labels, zpl: renderLabelsZPL(labels, symbology) };
+  } catch (error) {
+    return { sku, subSKUs, symbology, labels: [], zpl: "", error: error.message };
+  }
+};
+
+function downloadZPL(zpl) {
+  const url = URL.createObjectURL(new Blob([zpl], { type: "application/zpl" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "labels.zpl";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function Labels() {
+  const loaderData = useLoaderData();
+  const navigation = useNavigation();
+  const [sku, setSku] = useState(loaderData.sku);
+  const [subSKUs, setSubSKUs] = useState(loaderData.subSKUs);
+  const [symbology, setSymbology] = useState(loaderData.symbology);
+
+  return (
+    <Page>
+      <TitleBar title="Sub-SKU labels" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Form method="get">
+              <BlockStack gap="400">
+                <TextField
+                  label="SKU"
+                  name="sku"
+                  value={sku}
+                  onChange={setSku}
+                  helpText="Prints a label for every available sub-SKU of the SKU"
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Or sub-SKUs"
+                  name="subSKUs"
+                  value={subSKUs}
+                  onChange={setSubSKUs}
+                  multiline={4}
+                  helpText="One per line or separated by commas, e.g. ABC-0042"
+                  autoComplete="off"
+                />
+                <Select
+                  label="Barcode"
+                  name="symbology"
+                  options={[
+                    { label: "Code128", value: "code128" },
+                    { label: "QR code", value: "qr" },
+                  ]}
+                  value={symbology}
+                  onChange={setSymbology}
+                />
+                <InlineStack>
+                  <Button submit variant="primary" loading={navigation.state === "loading"}>
+                    Create labels
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+        {loaderData.error && (
+          <Layout.Section>
+            <Banner tone="critical">{loaderData.error}</Banner>
+          </Layout.Section>
+        )}
+        {loaderData.labels.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h2" variant="headingMd">
+                    {loaderData.labels.length} labels
+                  </Text>
+                  <Button onClick={() => downloadZPL(loaderData.zpl)}>Download ZPL</Button>
+                </InlineStack>
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "numeric"]}
+                  headings={["Sub-SKU", "Product", "Variant", "Weight (g)"]}
+                  rows={loaderData.labels.map((label) => [
+                    label.name,
+                    label.itemTitle,
+                    label.variant,
+                    label.weight ?? "",
+                  ])}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,413 @@
+import { useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Layout,
+  Link,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getBaseSKU, lookupSKU } from "../utils/subSkuLookup.server";
+import { changeSubSKUStatus } from "../utils/inventorySync.server";
+import { LEDGER_EVENTS, recordSubSKUEvents } from "../utils/subSkuLedger.server";
+import { setSubSKUSize, setSubSKUWeight } from "../utils/helper";
+import { reassignSubSKU } from "../utils/subSkuReassignment.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const query = new URL(request.url).searchParams.get("q")?.trim() || "";
+
+  if (!query) {
+    return { query, result: null };
+  }
+
+  return { query, result: await lookupSKU(admin, session.shop, query) };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const subSkuName = formData.get("subSku");
+  const status = formData.get("status");
+  const sku = getBaseSKU(subSkuName || "");
+
+  if (sku && formData.get("intent") === "weight") {
+    const weight = formData.get("weight");
+    try {
+      // An empty weight clears it, the variant weight is used again
+      await setSubSKUWeight(session.shop, sku, subSkuName, weight ? parseFloat(weight) : null);
+    } catch (error) {
+      return { error: error.message };
+    }
+    return { success: true };
+  }
+
+  if (sku && formData.get("intent") === "size") {
+    try {
+      await setSubSKUSize(session.shop, sku, subSkuName, formData.get("size") || null);
+    } catch (error) {
+      return { error: error.message };
+    }
+    return { success: true };
+  }
+
+  if (sku && formData.get("intent") === "reassign") {
+    try {
+      const reassigned = await reassignSubSKU(admin, session, {
+        orderId: formData.get("orderId"),
+        lineItemId: formData.get("lineItemId"),
+        subSKU: subSkuName,
+        replacement: formData.get("replacement")?.trim() || null,
+        note: formData.get("note") || "",
+      });
+      return { reassigned };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  if (!sku || !status) {
+    return { error: "Choose a sub-SKU and a status" };
+  }
+
+  try {
+    // Units leaving or re-entering sellable stock are pushed to Shopify as well
+    await changeSubSKUStatus(admin, session.shop, sku, subSkuName, status);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  await recordSubSKUEvents(
+    session.shop,
+    sku,
+    [subSkuName],
+    LEDGER_EVENTS.STATUS_CHANGED,
+    { status },
+  );
+
+  return { success: true };
+};
+
+const STATUS_TONES = {
+  available: "success",
+  reserved: "info",
+  sold: "attention",
+  shipped: "info",
+  returned_pending_inspection: "warning",
+  damaged: "critical",
+  lost: "critical",
+  written_off: "critical",
+  removed: "critical",
+};
+
+function StatusBadge({ status }) {
+  return <Badge tone={STATUS_TONES[status]}>{status}</Badge>;
+}
+
+function SheetRowsCard({ title, sheet }) {
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">
+          {title}
+        </Text>
+        {sheet.error ? (
+          <Banner tone="warning">Could not read the sheet: {sheet.error}</Banner>
+        ) : sheet.rows.length === 0 ? (
+          <Text as="p" tone="subdued">
+            No matching rows.
+          </Text>
+        ) : (
+          <DataTable
+            columnContentTypes={sheet.header.map(() => "text")}
+            headings={sheet.header}
+            rows={sheet.rows.map((row) =>
+              sheet.header.map((_, index) => row[index] ?? ""),
+            )}
+          />
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+function SKUResult({ result }) {
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">
+          {result.sku}
+        </Text>
+        <Text as="p" variant="bodyMd">
+          {result.availableQuantity} available of {result.totalQuantity} sub-SKUs
+        </Text>
+        {result.availableQuantity > 0 && (
+          <Link url={`/app/labels?sku=${encodeURIComponent(result.sku)}`}>
+            Print labels for the available sub-SKUs
+          </Link>
+        )}
+        <Text as="p" variant="bodyMd">
+          {result.stockWeight.totalGrams} g in stock ({result.stockWeight.weighed} of{" "}
+          {result.stockWeight.inStock} units weighed)
+        </Text>
+        <DataTable
+          columnContentTypes={["text", "text", "text", "numeric", "text"]}
+          headings={["Sub-SKU", "Status", "Location", "Weight (g)", "Size"]}
+          rows={result.subSKUs.map((subSku) => [
+            subSku.name,
+            <StatusBadge key={subSku.name} status={subSku.status} />,
+            subSku.locationId || "",
+            subSku.weight ?? "",
+            subSku.size || "",
+          ])}
+        />
+      </BlockStack>
+    </Card>
+  );
+}
+
+function StatusChangeForm({ result }) {
+  const navigation = useNavigation();
+  const [status, setStatus] = useState(result.allowedStatuses[0]);
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="subSku" value={result.name} />
+      <InlineStack gap="200" blockAlign="end">
+        <Select
+          label="Change status"
+          name="status"
+          options={result.allowedStatuses}
+          value={status}
+          onChange={setStatus}
+        />
+        <Button submit loading={navigation.state === "submitting"}>
+          Update status
+        </Button>
+      </InlineStack>
+    </Form>
+  );
+}
+
+function WeightForm({ result }) {
+  const navigation = useNavigation();
+  const [weight, setWeight] = useState(result.weight != null ? String(result.weight) : "");
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="intent" value="weight" />
+      <input type="hidden" name="subSku" value={result.name} />
+      <InlineStack gap="200" blockAlign="end">
+        <TextField
+          label="Measured weight"
+          name="weight"
+          type="number"
+          suffix="g"
+          value={weight}
+          onChange={setWeight}
+          helpText="Leave empty to use the variant weight"
+          autoComplete="off"
+        />
+        <Button submit loading={navigation.state === "submitting"}>
+          Save weight
+        </Button>
+      </InlineStack>
+    </Form>
+  );
+}
+
+function SizeForm({ result }) {
+  const navigation = useNavigation();
+  const [size, setSize] = useState(result.size || "");
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="intent" value="size" />
+      <input type="hidden" name="subSku" value={result.name} />
+      <InlineStack gap="200" blockAlign="end">
+        <TextField
+          label="Size"
+          name="size"
+          value={size}
+          onChange={setSize}
+          helpText="Made-to-measure units are only allocated to orders of this size"
+          autoComplete="off"
+        />
+        <Button submit loading={navigation.state === "submitting"}>
+          Save size
+        </Button>
+      </InlineStack>
+    </Form>
+  );
+}
+
+function ReassignForm({ result }) {
+  const navigation = useNavigation();
+  const [replacement, setReplacement] = useState("");
+  const [note, setNote] = useState("");
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="intent" value="reassign" />
+      <input type="hidden" name="subSku" value={result.name} />
+      <input type="hidden" name="orderId" value={result.order.id} />
+      <input type="hidden" name="lineItemId" value={result.order.lineItemId} />
+      <InlineStack gap="200" blockAlign="end">
+        <TextField
+          label="Swap for"
+          name="replacement"
+          value={replacement}
+          onChange={setReplacement}
+          placeholder={`Next available ${result.sku}`}
+          autoComplete="off"
+        />
+        <TextField label="Note" name="note" value={note} onChange={setNote} autoComplete="off" />
+        <Button submit loading={navigation.state === "submitting"}>
+          Reassign order
+        </Button>
+      </InlineStack>
+    </Form>
+  );
+}
+
+function SubSKUResult({ result }) {
+  return (
+    <BlockStack gap="500">
+      <Card>
+        <BlockStack gap="300">
+          <InlineStack gap="200" blockAlign="center">
+            <Text as="h2" variant="headingMd">
+              {result.name}
+            </Text>
+            <StatusBadge status={result.status} />
+          </InlineStack>
+          {result.sku && (
+            <Text as="p" variant="bodyMd">
+              Base SKU: {result.sku}
+            </Text>
+          )}
+          {result.locationId && (
+            <Text as="p" variant="bodyMd">
+              Location ID: {result.locationId}
+            </Text>
+          )}
+          {result.order ? (
+            <Text as="p" variant="bodyMd">
+              Assigned to order{" "}
+              <Link url={`shopify:admin/orders/${result.order.id}`} target="_blank">
+                {result.order.name}
+              </Link>{" "}
+              (line item {result.order.lineItemId})
+            </Text>
+          ) : (
+            <Text as="p" tone="subdued">
+              Not assigned to an order.
+            </Text>
+          )}
+          {result.allowedStatuses.length > 0 && (
+            <StatusChangeForm key={result.status} result={result} />
+          )}
+          {result.status !== "removed" && <WeightForm key={result.weight} result={result} />}
+          {result.status !== "removed" && <SizeForm key={result.size} result={result} />}
+          {result.order && result.status !== "shipped" && <ReassignForm result={result} />}
+        </BlockStack>
+      </Card>
+      <Card>
+        <BlockStack gap="300">
+          <Text as="h2" variant="headingMd">
+            History
+          </Text>
+          <DataTable
+            columnContentTypes={["text", "text", "text", "text", "text", "text"]}
+            headings={["Date", "Event", "Order", "Line item", "Webhook", "Tracking"]}
+            rows={result.history.map((event) => [
+              new Date(event.createdAt).toLocaleString(),
+              event.status
+                ? `${event.event} → ${event.status}`
+                : event.fromLocationId
+                  ? `${event.event} ${event.fromLocationId} → ${event.locationId}`
+                  : event.event,
+              event.orderId || "",
+              event.lineItemId || "",
+              event.webhookType || "",
+              (event.trackingNumbers || []).join(", "),
+            ])}
+          />
+        </BlockStack>
+      </Card>
+      <SheetRowsCard title="Orders sheet" sheet={result.orderRows} />
+      <SheetRowsCard title="Inventory Updates sheet" sheet={result.inventoryRows} />
+    </BlockStack>
+  );
+}
+
+export default function SubSKULookup() {
+  const { query, result } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [value, setValue] = useState(query);
+
+  return (
+    <Page>
+      <TitleBar title="Sub-SKU lookup" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Form method="get">
+              <InlineStack gap="200" blockAlign="end" wrap={false}>
+                <div style={{ flexGrow: 1 }}>
+                  <TextField
+                    label="SKU or sub-SKU"
+                    name="q"
+                    value={value}
+                    onChange={setValue}
+                    placeholder="e.g. ABC or ABC-0042"
+                    autoComplete="off"
+                  />
+                </div>
+                <Button submit variant="primary" loading={navigation.state === "loading"}>
+                  Search
+                </Button>
+              </InlineStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{actionData.error}</Banner>
+          </Layout.Section>
+        )}
+        {actionData?.reassigned && (
+          <Layout.Section>
+            <Banner tone="success">
+              {actionData.reassigned.released} was freed and{" "}
+              <Link url={`/app/lookup?q=${encodeURIComponent(actionData.reassigned.assigned)}`}>
+                {actionData.reassigned.assigned}
+              </Link>{" "}
+              now fills the order.
+            </Banner>
+          </Layout.Section>
+        )}
+        {result && (
+          <Layout.Section>
+            {result.type === "sku" && <SKUResult result={result} />}
+            {result.type === "subSku" && <SubSKUResult result={result} />}
+            {result.type === "notFound" && (
+              <Banner tone="info">No SKU or sub-SKU matches “{result.query}”.</Banner>
+            )}
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,225 @@
+import { useEffect, useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  InlineStack,
+  Layout,
+  Page,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getOrderForRefundSelection } from "../utils/refundSelection.server";
+import { reassignSubSKU, verifyScannedSubSKU } from "../utils/subSkuReassignment.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const query = new URL(request.url).searchParams.get("order")?.trim() || "";
+
+  if (!query) {
+    return { query, order: null };
+  }
+
+  return { query, order: await getOrderForRefundSelection(admin, session.shop, query) };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    if (formData.get("intent") === "reassign") {
+      const reassigned = await reassignSubSKU(admin, session, {
+        orderId: formData.get("orderId"),
+        lineItemId: formData.get("lineItemId"),
+        subSKU: formData.get("subSKU"),
+        replacement: formData.get("replacement"),
+        note: "Scanned while packing",
+      });
+      return { reassigned };
+    }
+
+    const order = await getOrderForRefundSelection(admin, session.shop, formData.get("orderName"));
+    if (!order) {
+      return { error: `Order ${formData.get("orderName")} not found` };
+    }
+    return { scan: verifyScannedSubSKU(order, formData.get("scanned") || "") };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+function ScanResult({ order, scan, verified }) {
+  const submit = useSubmit();
+  const navigation = useNavigation();
+
+  if (scan.match) {
+    return <Banner tone="success">{scan.subSKU} matches this order.</Banner>;
+  }
+  if (!scan.lineItemId) {
+    return <Banner tone="critical">{scan.subSKU} is not a sub-SKU of any item on this order.</Banner>;
+  }
+
+  const candidates = scan.candidates.filter((name) => !verified.includes(name));
+
+  return (
+    <Banner tone="warning" title={`${scan.subSKU} is not assigned to this order`}>
+      <BlockStack gap="200">
+        <Text as="p">
+          {candidates.length > 0
+            ? "Assign the scanned piece instead of one of the pieces that haven't been scanned yet:"
+            : "Every piece of this item has already been scanned."}
+        </Text>
+        <InlineStack gap="200">
+          {candidates.map((name) => (
+            <Button
+              key={name}
+              loading={navigation.state === "submitting"}
+              onClick={() =>
+                submit(
+                  {
+                    intent: "reassign",
+                    orderId: order.id,
+                    lineItemId: scan.lineItemId,
+                    subSKU: name,
+                    replacement: scan.subSKU,
+                  },
+                  { method: "post" },
+                )
+              }
+            >
+              Replace {name}
+            </Button>
+          ))}
+        </InlineStack>
+      </BlockStack>
+    </Banner>
+  );
+}
+
+function PackingOrder({ order }) {
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [scanned, setScanned] = useState("");
+  const [verified, setVerified] = useState([]);
+
+  // Scanners type the name and press enter, clear the field for the next piece
+  useEffect(() => {
+    setScanned("");
+    if (actionData?.scan?.match) {
+      setVerified((current) => [...new Set([...current, actionData.scan.subSKU])]);
+    }
+    if (actionData?.reassigned) {
+      setVerified((current) => [...new Set([...current, actionData.reassigned.assigned])]);
+    }
+  }, [actionData]);
+
+  const total = order.lineItems.reduce((sum, lineItem) => sum + lineItem.subSKUs.length, 0);
+  const done = order.lineItems.reduce(
+    (sum, lineItem) => sum + lineItem.subSKUs.filter((name) => verified.includes(name)).length,
+    0,
+  );
+
+  return (
+    <BlockStack gap="400">
+      <Card>
+        <Form method="post">
+          <input type="hidden" name="intent" value="verify" />
+          <input type="hidden" name="orderName" value={order.name} />
+          <TextField
+            label={`Scan a label for ${order.name}`}
+            name="scanned"
+            value={scanned}
+            onChange={setScanned}
+            autoFocus
+            autoComplete="off"
+            helpText={`${done} of ${total} pieces verified`}
+          />
+        </Form>
+      </Card>
+      {actionData?.error && <Banner tone="critical">{actionData.error}</Banner>}
+      {actionData?.scan && <ScanResult order={order} scan={actionData.scan} verified={verified} />}
+      {actionData?.reassigned && (
+        <Banner tone="success">
+          {actionData.reassigned.assigned} now replaces {actionData.reassigned.released} on this order.
+        </Banner>
+      )}
+      {order.lineItems.map((lineItem) => (
+        <Card key={lineItem.id}>
+          <BlockStack gap="200">
+            <Text as="h3" variant="headingSm">
+              {lineItem.title}
+              {lineItem.variantTitle ? ` – ${lineItem.variantTitle}` : ""} ({lineItem.sku})
+            </Text>
+            {lineItem.subSKUs.map((name) => (
+              <InlineStack key={name} gap="200" blockAlign="center">
+                <Text as="span">{name}</Text>
+                {verified.includes(name) ? (
+                  <Badge tone="success">Verified</Badge>
+                ) : (
+                  <Badge>Not scanned</Badge>
+                )}
+              </InlineStack>
+            ))}
+          </BlockStack>
+        </Card>
+      ))}
+      {navigation.state === "loading" && (
+        <Text as="p" tone="subdued">
+          Refreshing the order…
+        </Text>
+      )}
+    </BlockStack>
+  );
+}
+
+export default function Packing() {
+  const { query, order } = useLoaderData();
+  const navigation = useNavigation();
+  const [value, setValue] = useState(query);
+
+  return (
+    <Page narrowWidth>
+      <TitleBar title="Pick & verify" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Form method="get">
+              <InlineStack gap="200" blockAlign="end" wrap={false}>
+                <div style={{ flexGrow: 1 }}>
+                  <TextField
+                    label="Order"
+                    name="order"
+                    value={value}
+                    onChange={setValue}
+                    placeholder="e.g. #1001"
+                    autoComplete="off"
+                  />
+                </div>
+                <Button submit variant="primary" loading={navigation.state === "loading"}>
+                  Open
+                </Button>
+              </InlineStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+        {query && (
+          <Layout.Section>
+            {!order ? (
+              <Banner tone="info">No order matches “{query}”.</Banner>
+            ) : order.lineItems.length === 0 ? (
+              <Banner tone="info">No sub-SKUs are assigned to {order.name}.</Banner>
+            ) : (
+              <PackingOrder key={order.id} order={order} />
+            )}
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,205 @@
+import { useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  DataTable,
+  InlineStack,
+  Layout,
+  Link,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { queueReconciliation } from "../queues/reconciliationQueue.server";
+import {
+  getReconciliationReports,
+  RECONCILIATION_MODES,
+} from "../utils/reconciliation.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const reportId = new URL(request.url).searchParams.get("report");
+  const reports = await getReconciliationReports(session.shop);
+
+  return {
+    reports: reports.map((report) => ({
+      ...report,
+      startedAt: report.startedAt.toISOString(),
+      completedAt: report.completedAt?.toISOString() || null,
+    })),
+    selectedId: reportId || reports[0]?.id || null,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const mode = formData.get("mode");
+
+  if (!Object.values(RECONCILIATION_MODES).includes(mode)) {
+    return { error: "Unknown reconciliation mode" };
+  }
+
+  await queueReconciliation(session.shop, {
+    mode,
+    trigger: "manual",
+    writeSheet: formData.get("writeSheet") === "true",
+  });
+
+  return { queued: mode };
+};
+
+const REPORT_TONES = {
+  running: "info",
+  completed: "success",
+  failed: "critical",
+};
+
+function RunForm() {
+  const navigation = useNavigation();
+  const [writeSheet, setWriteSheet] = useState(false);
+  const submittingMode = navigation.state === "submitting" && navigation.formData?.get("mode");
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="writeSheet" value={String(writeSheet)} />
+      <BlockStack gap="300">
+        <Text as="p" variant="bodyMd">
+          Compares every tracked variant&apos;s Shopify quantity with its sub-SKU pool. A dry run
+          only reports the drift, apply also adds or removes available sub-SKUs to match Shopify.
+        </Text>
+        <Checkbox
+          label="Write the drift to the Reconciliation sheet"
+          checked={writeSheet}
+          onChange={setWriteSheet}
+        />
+        <InlineStack gap="200">
+          <Button
+            submit
+            name="mode"
+            value="dry_run"
+            loading={submittingMode === "dry_run"}
+          >
+            Run dry run
+          </Button>
+          <Button
+            submit
+            variant="primary"
+            name="mode"
+            value="apply"
+            loading={submittingMode === "apply"}
+          >
+            Run and apply
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Form>
+  );
+}
+
+function ReportDetails({ report }) {
+  const drifts = report.drifts || [];
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack gap="200" blockAlign="center">
+          <Text as="h2" variant="headingMd">
+            Report of {new Date(report.startedAt).toLocaleString()}
+          </Text>
+          <Badge tone={REPORT_TONES[report.status]}>{report.status}</Badge>
+        </InlineStack>
+        <Text as="p" variant="bodyMd">
+          {report.mode} ({report.trigger}): {report.variantsChecked} variants checked,{" "}
+          {report.driftCount} SKU locations drifting
+        </Text>
+        {report.error && <Banner tone="critical">{report.error}</Banner>}
+        {drifts.length > 0 && (
+          <DataTable
+            columnContentTypes={["text", "text", "text", "numeric", "numeric", "numeric", "text"]}
+            headings={["SKU", "Location", "Item", "Shopify", "Sub-SKUs", "Difference", "Applied"]}
+            rows={drifts.map((drift) => [
+              drift.sku,
+              drift.locationName || drift.locationId || "",
+              drift.variant && drift.variant !== "Default Title"
+                ? `${drift.itemTitle} – ${drift.variant}`
+                : drift.itemTitle,
+              drift.shopifyQuantity,
+              drift.missing ? `${drift.ourQuantity} (no pool)` : drift.ourQuantity,
+              drift.difference,
+              drift.error ? `Error: ${drift.error}` : drift.notInShopify ? "Not in Shopify" : drift.applied ?? "",
+            ])}
+          />
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function Reconciliation() {
+  const { reports, selectedId } = useLoaderData();
+  const actionData = useActionData();
+  const selected = reports.find((report) => report.id === selectedId);
+
+  return (
+    <Page>
+      <TitleBar title="Reconciliation" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <RunForm />
+          </Card>
+        </Layout.Section>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{actionData.error}</Banner>
+          </Layout.Section>
+        )}
+        {actionData?.queued && (
+          <Layout.Section>
+            <Banner tone="success">
+              Reconciliation queued. Reload this page to see the report once it has run.
+            </Banner>
+          </Layout.Section>
+        )}
+        {selected && (
+          <Layout.Section>
+            <ReportDetails report={selected} />
+          </Layout.Section>
+        )}
+        {reports.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Recent runs
+                </Text>
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text", "numeric"]}
+                  headings={["Started", "Mode", "Trigger", "Status", "Drifting SKUs"]}
+                  rows={reports.map((report) => [
+                    <Link key={report.id} url={`/app/reconciliation?report=${report.id}`}>
+                      {new Date(report.startedAt).toLocaleString()}
+                    </Link>,
+                    report.mode,
+                    report.trigger,
+                    <Badge key={`${report.id}-status`} tone={REPORT_TONES[report.status]}>
+                      {report.status}
+                    </Badge>,
+                    report.driftCount,
+                  ])}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,212 @@
+import { useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  DataTable,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getOrderForRefundSelection,
+  saveRefundSelection,
+} from "../utils/refundSelection.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const query = new URL(request.url).searchParams.get("order")?.trim() || "";
+
+  if (!query) {
+    return { query, order: null };
+  }
+
+  return { query, order: await getOrderForRefundSelection(admin, session.shop, query) };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    await saveRefundSelection(session.shop, {
+      orderId: formData.get("orderId"),
+      refundId: formData.get("refundId") || null,
+      lineItems: JSON.parse(formData.get("lineItems") || "{}"),
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { success: true };
+};
+
+function describeTarget(selection) {
+  if (selection.refundId) return `Refund ${selection.refundId}`;
+  if (selection.orderEditId) return `Order edit ${selection.orderEditId}`;
+  return "Next refund or edit";
+}
+
+function SelectionForm({ order }) {
+  const navigation = useNavigation();
+  const [refundId, setRefundId] = useState("");
+  const [selected, setSelected] = useState({});
+
+  const toggle = (lineItemId, name, checked) => {
+    setSelected((current) => {
+      const names = (current[lineItemId] || []).filter((item) => item !== name);
+      return { ...current, [lineItemId]: checked ? [...names, name] : names };
+    });
+  };
+
+  return (
+    <Form method="post">
+      <input type="hidden" name="orderId" value={order.id} />
+      <input type="hidden" name="lineItems" value={JSON.stringify(selected)} />
+      <BlockStack gap="400">
+        <Select
+          label="Refund"
+          name="refundId"
+          helpText="Pick an existing refund, or save before refunding in Shopify to apply it to the next refund or edit of this order."
+          options={[
+            { label: "Next refund or edit", value: "" },
+            ...order.refunds.map((refund) => ({
+              label: `Refund ${refund.id} (${new Date(refund.createdAt).toLocaleString()})${refund.processed ? " – already processed" : ""}`,
+              value: refund.id,
+              disabled: refund.processed,
+            })),
+          ]}
+          value={refundId}
+          onChange={setRefundId}
+        />
+        {order.lineItems.map((lineItem) => (
+          <Card key={lineItem.id}>
+            <BlockStack gap="200">
+              <Text as="h3" variant="headingSm">
+                {lineItem.title}
+                {lineItem.variantTitle ? ` – ${lineItem.variantTitle}` : ""} ({lineItem.sku})
+              </Text>
+              {lineItem.subSKUs.map((name) => (
+                <Checkbox
+                  key={name}
+                  label={name}
+                  checked={(selected[lineItem.id] || []).includes(name)}
+                  onChange={(checked) => toggle(lineItem.id, name, checked)}
+                />
+              ))}
+            </BlockStack>
+          </Card>
+        ))}
+        <InlineStack>
+          <Button submit variant="primary" loading={navigation.state === "submitting"}>
+            Save selection
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Form>
+  );
+}
+
+function OrderResult({ order }) {
+  return (
+    <BlockStack gap="500">
+      <Card>
+        <BlockStack gap="300">
+          <Text as="h2" variant="headingMd">
+            {order.name}
+          </Text>
+          {order.lineItems.length === 0 ? (
+            <Text as="p" tone="subdued">
+              No sub-SKUs are assigned to this order.
+            </Text>
+          ) : (
+            <SelectionForm key={order.id} order={order} />
+          )}
+        </BlockStack>
+      </Card>
+      {order.pendingSelections.length > 0 && (
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Waiting selections
+            </Text>
+            <DataTable
+              columnContentTypes={["text", "text", "text"]}
+              headings={["Saved", "Applies to", "Sub-SKUs"]}
+              rows={order.pendingSelections.map((selection) => [
+                new Date(selection.createdAt).toLocaleString(),
+                describeTarget(selection),
+                Object.values(selection.lineItems).flat().join(", "),
+              ])}
+            />
+          </BlockStack>
+        </Card>
+      )}
+    </BlockStack>
+  );
+}
+
+export default function Returns() {
+  const { query, order } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [value, setValue] = useState(query);
+
+  return (
+    <Page>
+      <TitleBar title="Returns" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Form method="get">
+              <InlineStack gap="200" blockAlign="end" wrap={false}>
+                <div style={{ flexGrow: 1 }}>
+                  <TextField
+                    label="Order"
+                    name="order"
+                    value={value}
+                    onChange={setValue}
+                    placeholder="e.g. #1001"
+                    autoComplete="off"
+                  />
+                </div>
+                <Button submit variant="primary" loading={navigation.state === "loading"}>
+                  Search
+                </Button>
+              </InlineStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{actionData.error}</Banner>
+          </Layout.Section>
+        )}
+        {actionData?.success && (
+          <Layout.Section>
+            <Banner tone="success">
+              Selection saved. The refund job releases these sub-SKUs when it runs.
+            </Banner>
+          </Layout.Section>
+        )}
+        {query && (
+          <Layout.Section>
+            {order ? (
+              <OrderResult order={order} />
+            ) : (
+              <Banner tone="info">No order matches “{query}”.</Banner>
+            )}
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
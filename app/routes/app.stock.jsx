@@ -0,0 +1,54 @@
+import { useLoaderData } from "@remix-run/react";
+import { BlockStack, Card, DataTable, Layout, Link, Page, Text } from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getStockWeightReport } from "../utils/stockWeight.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return { rows: await getStockWeightReport(session.shop) };
+};
+
+export default function StockWeight() {
+  const { rows } = useLoaderData();
+  const totalGrams = rows.reduce((total, row) => total + row.totalGrams, 0);
+
+  return (
+    <Page>
+      <TitleBar title="Stock weight" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="p" variant="bodyMd">
+                Measured weight of the sub-SKUs in stock. Units without a measured weight are
+                counted but not weighed.
+              </Text>
+              {rows.length === 0 ? (
+                <Text as="p" tone="subdued">
+                  No stock.
+                </Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={["text", "numeric", "numeric", "numeric"]}
+                  headings={["SKU", "Units in stock", "Weighed units", "Total (g)"]}
+                  rows={rows.map((row) => [
+                    <Link key={row.sku} url={`/app/lookup?q=${encodeURIComponent(row.sku)}`}>
+                      {row.sku}
+                    </Link>,
+                    row.inStock,
+                    row.weighed,
+                    row.totalGrams,
+                  ])}
+                  totals={["", "", "", totalGrams]}
+                  showTotalsInFooter
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getShopLocations } from "../utils/inventorySync.server";
+import { transferSubSKUs } from "../utils/stockTransfer.server";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  return { locations: await getShopLocations(admin) };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    const transferred = await transferSubSKUs(admin, session.shop, {
+      subSKUs: (formData.get("subSKUs") || "").split(/[\s,]+/),
+      fromLocationId: formData.get("fromLocationId"),
+      toLocationId: formData.get("toLocationId"),
+      note: formData.get("note") || "",
+    });
+    return { transferred };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+export default function Transfers() {
+  const { locations } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const options = locations.map((location) => ({ label: location.name, value: location.id }));
+  const [subSKUs, setSubSKUs] = useState("");
+  const [fromLocationId, setFromLocationId] = useState(locations[0]?.id || "");
+  const [toLocationId, setToLocationId] = useState(locations[1]?.id || "");
+  const [note, setNote] = useState("");
+
+  return (
+    <Page>
+      <TitleBar title="Stock transfer" />
+      <Layout>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="critical">{actionData.error}</Banner>
+          </Layout.Section>
+        )}
+        {actionData?.transferred && (
+          <Layout.Section>
+            <Banner tone="success">
+              Transferred{" "}
+              {actionData.transferred.map((group) => group.subSKUs.join(", ")).join(", ")}.
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <Form method="post">
+              <BlockStack gap="400">
+                <TextField
+                  label="Sub-SKUs"
+                  name="subSKUs"
+                  value={subSKUs}
+                  onChange={setSubSKUs}
+                  multiline={4}
+                  helpText="One per line or separated by commas, e.g. ABC-0042"
+                  autoComplete="off"
+                />
+                <InlineStack gap="400">
+                  <Select
+                    label="From"
+                    name="fromLocationId"
+                    options={options}
+                    value={fromLocationId}
+                    onChange={setFromLocationId}
+                  />
+                  <Select
+                    label="To"
+                    name="toLocationId"
+                    options={options}
+                    value={toLocationId}
+                    onChange={setToLocationId}
+                  />
+                </InlineStack>
+                <TextField
+                  label="Note"
+                  name="note"
+                  value={note}
+                  onChange={setNote}
+                  autoComplete="off"
+                />
+                <InlineStack>
+                  <Button submit variant="primary" loading={navigation.state === "submitting"}>
+                    Transfer
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Form>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
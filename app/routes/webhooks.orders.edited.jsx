@@ -2,18 +2,20 @@ import { authenticate } from "../shopify.server";
 import { webhookQueue } from "../queues/queue.server";
 
 export const action = async ({ request }) => {
-  const { session, shop, topic, payload } = await authenticate.webhook(request);
+  const { shop, topic, payload, webhookId } = await authenticate.webhook(request);
 
   console.log(`🔔 Webhook received:`, {
     type: 'order_edited',
     shop,
+    webhookId,
     payloadId: payload.id
   });
   
-  // Add job to unified webhook queue with default settings
+  // Add job to unified webhook queue, redeliveries are skipped by the worker's webhook event claim
   await webhookQueue.add('webhook-job', {
-    session,
+    shop,
     type: 'order_edited',
+    webhookId,
     payload
   });
 
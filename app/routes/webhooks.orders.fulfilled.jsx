@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import { webhookQueue } from "../queues/queue.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic, payload, webhookId } = await authenticate.webhook(request);
+
+  console.log(`🔔 Webhook received:`, {
+    type: 'order_fulfilled',
+    shop,
+    webhookId,
+    payloadId: payload.id
+  });
+  
+  // Add job to unified webhook queue, redeliveries are skipped by the worker's webhook event claim
+  await webhookQueue.add('webhook-job', {
+    shop,
+    type: 'order_fulfilled',
+    webhookId,
+    payload
+  });
+
+  return new Response("✅ Webhook received and queued for processing", { status: 200 });
+};
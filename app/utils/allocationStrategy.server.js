@@ -0,0 +1,135 @@
+import db from "../db.server";
+
+// Which available subSKUs an order takes first
+export const ALLOCATION_STRATEGIES = {
+  FIFO: "fifo", // First received first
+  LIFO: "lifo", // Last received first
+  HEAVIEST: "heaviest", // Heaviest measured weight first
+  LIGHTEST: "lightest", // Lightest measured weight first
+  NEAREST_WEIGHT: "nearest_weight", // Measured weight closest to the variant weight first
+  EXPLICIT: "explicit", // Nothing is taken automatically, the line item is held for staff to assign
+};
+
+export const DEFAULT_ALLOCATION_STRATEGY = ALLOCATION_STRATEGIES.FIFO;
+
+// What a new order does when a line item needs more subSKUs than are available
+export const OVERSELL_POLICIES = {
+  MINT: "mint", // Create the missing subSKUs as sold
+  STRICT: "strict", // Hold the line item until stock arrives
+};
+
+/**
+ * Check a strategy name
+ * @param {string} strategy - Strategy name
+ * @throws {Error} - If it isn't one of ALLOCATION_STRATEGIES
+ */
+function assertStrategy(strategy) {
+  if (!Object.values(ALLOCATION_STRATEGIES).includes(strategy)) {
+    throw new Error(`Unknown allocation strategy: ${strategy}`);
+  }
+}
+
+/**
+ * Get the allocation strategy of a SKU: its own override, else the shop's, else FIFO
+ * @param {string} shop - Shop domain
+ * @param {{allocationStrategy?: string}|null} skuRecord - The SKU document, when already loaded
+ * @returns {Promise<string>} - One of ALLOCATION_STRATEGIES
+ */
+export async function getAllocationStrategy(shop, skuRecord) {
+  if (skuRecord?.allocationStrategy) {
+    return skuRecord.allocationStrategy;
+  }
+
+  const setting = await db.ShopSetting.findUnique({ where: { shop } });
+  return setting?.allocationStrategy || DEFAULT_ALLOCATION_STRATEGY;
+}
+
+/**
+ * Set the shop's allocation strategy
+ * @param {string} shop - Shop domain
+ * @param {string} strategy - One of ALLOCATION_STRATEGIES
+ */
+export async function setShopAllocationStrategy(shop, strategy) {
+  assertStrategy(strategy);
+
+  await db.ShopSetting.upsert({
+    where: { shop },
+    create: { shop, allocationStrategy: strategy },
+    update: { allocationStrategy: strategy },
+  });
+}
+
+/**
+ * Get the shop's oversell policy
+ * @param {string} shop - Shop domain
+ * @returns {Promise<string>} - One of OVERSELL_POLICIES
+ */
+export async function getOversellPolicy(shop) {
+  const setting = await db.ShopSetting.findUnique({ where: { shop } });
+  return setting?.oversellPolicy || OVERSELL_POLICIES.MINT;
+}
+
+/**
+ * Set the shop's oversell policy
+ * @param {string} shop - Shop domain
+ * @param {string} policy - One of OVERSELL_POLICIES
+ * @throws {Error} - If the policy is unknown
+ */
+export async function setOversellPolicy(shop, policy) {
+  if (!Object.values(OVERSELL_POLICIES).includes(policy)) {
+    throw new Error(`Unknown oversell policy: ${policy}`);
+  }
+
+  await db.ShopSetting.upsert({
+    where: { shop },
+    create: { shop, oversellPolicy: policy },
+    update: { oversellPolicy: policy },
+  });
+}
+
+/**
+ * Override the allocation strategy of a single SKU
+ * @param {string} shop - Shop domain
+ * @param {string} sku - The base SKU
+ * @param {string|null} strategy - One of ALLOCATION_STRATEGIES, or null to use the shop's again
+ * @throws {Error} - If the SKU doesn't exist or the strategy is unknown
+ */
+export async function setSKUAllocationStrategy(shop, sku, strategy) {
+  if (strategy !== null) {
+    assertStrategy(strategy);
+  }
+
+  const { count } = await db.SKU.updateMany({
+    where: { shop, sku },
+    data: { allocationStrategy: strategy },
+  });
+
+  if (count === 0) {
+    throw new Error(`SKU ${sku} not found`);
+  }
+}
+
+/**
+ * Allocation settings for the admin page
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{strategy: string, oversellPolicy: string, overrides: Array<{sku: string, strategy: string}>}>}
+ */
+export async function getAllocationSettings(shop) {
+  const [setting, overrides] = await Promise.all([
+    db.ShopSetting.findUnique({ where: { shop } }),
+    db.SKU.findMany({
+      where: { shop, allocationStrategy: { not: null } },
+      select: { sku: true, allocationStrategy: true },
+      orderBy: { sku: "asc" },
+    }),
+  ]);
+
+  return {
+    strategy: setting?.allocationStrategy || DEFAULT_ALLOCATION_STRATEGY,
+    oversellPolicy: setting?.oversellPolicy || OVERSELL_POLICIES.MINT,
+    overrides: overrides.map((override) => ({
+      sku: override.sku,
+      strategy: override.allocationStrategy,
+    })),
+  };
+}
@@ -0,0 +1,128 @@
+import fs from "fs/promises";
+import path from "path";
+
+const SHEET_DIR = path.resolve(
+  process.cwd(),
+  process.env.SHEET_SINK_DIR || "sheets",
+);
+
+// Writes to the same tab are chained so concurrent jobs don't overwrite each other's rows
+const pendingWrites = new Map();
+
+function getFilePath(sheetTitle) {
+  return path.join(SHEET_DIR, `${sheetTitle}.csv`);
+}
+
+function escapeCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeRows(rows) {
+  return rows.map((row) => row.map(escapeCell).join(",") + "\n").join("");
+}
+
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n") {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else if (char !== "\r") {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+async function readFileRows(sheetTitle) {
+  try {
+    return parseRows(await fs.readFile(getFilePath(sheetTitle), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function writeFileRows(sheetTitle, rows) {
+  await fs.mkdir(SHEET_DIR, { recursive: true });
+  await fs.writeFile(getFilePath(sheetTitle), serializeRows(rows), "utf8");
+}
+
+function queueWrite(sheetTitle, fn) {
+  const previous = pendingWrites.get(sheetTitle) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  pendingWrites.set(sheetTitle, next);
+  return next;
+}
+
+/**
+ * Local sheet sink writing one CSV file per tab under SHEET_SINK_DIR, for staging and CI.
+ * Cell formatting has no CSV equivalent, so row formats are ignored.
+ */
+export const csvSheetSink = {
+  async ensureHeader(sheetTitle, header) {
+    await queueWrite(sheetTitle, async () => {
+      const rows = await readFileRows(sheetTitle);
+      if (rows.length === 0 || rows[0].every((cell) => cell === "")) {
+        await writeFileRows(sheetTitle, [header, ...rows.slice(1)]);
+        console.log(`✅ Header row added to "${sheetTitle}"`);
+      }
+    });
+  },
+
+  async prependRows(sheetTitle, newRows, { startRow = 3 } = {}) {
+    if (newRows.length === 0) return;
+
+    await queueWrite(sheetTitle, async () => {
+      const rows = await readFileRows(sheetTitle);
+      const insertAt = Math.min(startRow - 1, rows.length);
+      rows.splice(insertAt, 0, ...newRows);
+      await writeFileRows(sheetTitle, rows);
+    });
+    console.log(`✅ Prepended ${newRows.length} rows to "${sheetTitle}" (${getFilePath(sheetTitle)})`);
+  },
+
+  async appendRows(sheetTitle, newRows) {
+    if (newRows.length === 0) return;
+
+    await queueWrite(sheetTitle, async () => {
+      const rows = await readFileRows(sheetTitle);
+      await writeFileRows(sheetTitle, [...rows, ...newRows]);
+    });
+    console.log(`✅ Appended ${newRows.length} rows to "${sheetTitle}" (${getFilePath(sheetTitle)})`);
+  },
+
+  async readRows(sheetTitle) {
+    await pendingWrites.get(sheetTitle)?.catch(() => {});
+    return readFileRows(sheetTitle);
+  },
+};
@@ -74,13 +74,15 @@ export async function upsertRowsToGoogleSheet(productId, newRows) {
   );
 }
 
-export async function ensureSheetHasHeader() {
+export async function ensureSheetHeaderRow(sheetTitle, header) {
+  await ensureSheetTabExists(sheetTitle);
+
   const authClient = await auth.getClient();
   const sheets = google.sheets({ version: "v4", auth: authClient });
 
   const res = await sheets.spreadsheets.values.get({
     spreadsheetId: SHEET_ID,
-    range: "Inventory Updates!A1:H1", // Adjust based on number of columns
+    range: `${sheetTitle}!A1:Z1`,
   });
 
   const headers = res.data.values?.[0] || [];
@@ -88,66 +90,17 @@ export async function ensureSheetHasHeader() {
   if (headers.length === 0) {
     await sheets.spreadsheets.values.update({
       spreadsheetId: SHEET_ID,
-      range: "Inventory Updates!A1",
+      range: `${sheetTitle}!A1`,
       valueInputOption: "USER_ENTERED",
-      requestBody: {
-        values: [
-          [
-            "Date",
-            "Time (Paris Time Zone)",
-            "Item Title",
-            "SKU",
-            "Sub SKU",
-            "Variant",
-            "Input Weight",
-            "Input Reason",
-            "Free Handwritten Note",
-            "Supplier Name",
-            "Supplier Address"
-          ],
-        ],
-      },
+      requestBody: { values: [header] },
     });
 
-    console.log("✅ Header row added to sheet");
+    console.log(`✅ Header row added to "${sheetTitle}"`);
   } else {
-    console.log("ℹ️ Header already exists");
+    console.log(`ℹ️ Header already exists in "${sheetTitle}"`);
   }
 }
 
-export async function addSheetOrderHeader(sheets, sheetTitle) {
-  const header = [
-    [
-      "Date",
-      "Time(Paris Time Zone)",
-      "Invoice Number",
-      "Item Title",
-      "SKU",
-      "Sub-SKU",
-      "Variant",
-      "Selected Size",
-      "Output Weight",
-      "Output Reason",
-      "Free Handwritten Note",
-      "Customer Name",
-      "Email",
-      "Telephone",
-      "Attachment pdf - jpg",
-      "Supplier Name",
-      "Supplier Address",
-      "ID session staff",
-      "Note",
-    ],
-  ];
-
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: SHEET_ID,
-    range: `${sheetTitle}!A1`,
-    valueInputOption: "USER_ENTERED",
-    requestBody: { values: header },
-  });
-}
-
 export async function updateSubSkuWithOrderInfo(sku, orderData) {
   const authClient = await auth.getClient();
   const sheets = google.sheets({ version: "v4", auth: authClient });
@@ -235,95 +188,6 @@ export async function ensureSheetTabExists(sheetTitle) {
 
 
 
-export async function insertOrdersGroupedByDate(sheetTitle, orders) {
-  const authClient = await auth.getClient();
-  const sheets = google.sheets({ version: "v4", auth: authClient });
-  
-  // Sort orders by date first
-  const sortedOrders = [...orders].sort((a, b) => 
-    new Date(a.created_at).getTime() - new Date(b.created_at).getTime()
-  );
-  
-  const grouped = groupByDate(sortedOrders);
-
-  await ensureSheetTabExists(sheetTitle);
-  await addSheetOrderHeader(sheets, sheetTitle);
-
-  const allRows = [];
-
-  // Process each date group
-  for (const [date, ordersForDate] of Object.entries(grouped)) {
-
-    // Track processed order IDs to avoid duplicates
-    const processedOrderIds = new Set();
-
-    // Add order rows for this date
-    for (const order of ordersForDate) {
-      // Skip if we've already processed this order
-      if (processedOrderIds.has(order.orderId)) {
-        continue;
-      }
-      processedOrderIds.add(order.orderId);
-
-      // Track processed line items to avoid duplicates
-      const processedLineItems = new Set();
-
-      for (const lineItem of order.lineItems) {
-        // Skip if we've already processed this line item
-        if (processedLineItems.has(lineItem.sku)) {
-          continue;
-        }
-        processedLineItems.add(lineItem.sku);
-
-        if (lineItem.assigned_subskus && lineItem.assigned_subskus.length > 0) {
-          // Track processed subSKUs to avoid duplicates
-          const processedSubSKUs = new Set();
-
-          for (const subSKU of lineItem.assigned_subskus) {
-            // Skip if we've already processed this subSKU
-            if (processedSubSKUs.has(subSKU)) {
-              continue;
-            }
-            processedSubSKUs.add(subSKU);
-            const currentDate = order.created_at ? new Date(order.created_at) : new Date();
-            const timeParisZone = currentDate.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' });
-
-            allRows.push([
-              currentDate.toISOString().split("T")[0], // Date
-              timeParisZone, // Time(Paris Time Zone)
-              order.name, // Invoice Number
-              lineItem.title, // Item Title
-              lineItem.sku, // SKU
-              subSKU, // Sub-SKU
-              lineItem.variant, // Variant
-              lineItem.selected_size, // Selected Size
-              "-" + lineItem.weight, // Output Weight
-              "Order Placed", // Output Reason
-              "", // Free Handwritten Note
-              order.customerName, // Customer Name
-              order.email, // Email
-              order.phone, // Telephone
-              "", // Attachment pdf - jpg
-              lineItem.vendor, // Supplier Name (vendor)
-              "", // Supplier Address
-              "", // ID session staff
-              "", // Note
-            ]);
-          }
-        }
-      }
-    }
-  }
-
-  // Prepend new data if there are rows to add
-  if (allRows.length > 0) {
-    // Use the new prepend function
-    await prependDataToSheet(sheetTitle, allRows, 3);
-  }
-
-  console.log(`✅ Orders prepended to "${sheetTitle}" with proper date-based sorting`);
-}
-
 export function groupByDate(orders) {
   return orders.reduce((acc, order) => {
     // Ensure we're working with a valid date
@@ -340,16 +204,23 @@ export function groupByDate(orders) {
   }, {});
 }
 
+// Sheet ids never change for a tab, so the spreadsheet metadata is only fetched once per tab
+const sheetIdCache = new Map();
+
 export async function getSheetId(sheets, sheetTitle) {
+  if (sheetIdCache.has(sheetTitle)) {
+    return sheetIdCache.get(sheetTitle);
+  }
+
   const spreadsheet = await sheets.spreadsheets.get({
     spreadsheetId: SHEET_ID,
   });
 
-  const sheet = spreadsheet.data.sheets?.find(
-    (s) => s.properties?.title === sheetTitle,
-  );
+  for (const sheet of spreadsheet.data.sheets || []) {
+    sheetIdCache.set(sheet.properties?.title, sheet.properties?.sheetId);
+  }
 
-  return sheet?.properties?.sheetId;
+  return sheetIdCache.get(sheetTitle);
 }
 
 export const getSheet = async (sheetName) => {
@@ -412,73 +283,126 @@ export function getPropertyValue(properties, key) {
   return prop ? prop.value : null;
 }
 
-export async function prependDataToSheet(sheetTitle, newData, startRowIndex = 3) {
+const WHITE = { red: 1, green: 1, blue: 1 };
+const BLACK = { red: 0, green: 0, blue: 0 };
+
+// Days between the Sheets epoch (1899-12-30) and the Unix epoch
+const SHEETS_EPOCH_OFFSET_DAYS = 25569;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2}):(\d{2})$/;
+
+// Mirror what USER_ENTERED does for the values we write: numbers, dates, times and formulas are parsed, the rest stays text
+function toCellValue(value) {
+  if (value === null || value === undefined) return { userEnteredValue: { stringValue: "" } };
+  if (typeof value === "number") return { userEnteredValue: { numberValue: value } };
+
+  const text = String(value);
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { userEnteredValue: { numberValue: Number(text) } };
+  if (text.startsWith("=")) return { userEnteredValue: { formulaValue: text } };
+
+  // Dates and times are stored as serial numbers, so date columns keep sorting and filtering as dates
+  const date = text.match(DATE_PATTERN);
+  if (date) {
+    const days = Date.UTC(date[1], date[2] - 1, date[3]) / 86400000 + SHEETS_EPOCH_OFFSET_DAYS;
+    return {
+      userEnteredValue: { numberValue: days },
+      numberFormat: { type: "DATE", pattern: "yyyy-mm-dd" },
+    };
+  }
+  const time = text.match(TIME_PATTERN);
+  if (time) {
+    const seconds = Number(time[1]) * 3600 + Number(time[2]) * 60 + Number(time[3]);
+    return {
+      userEnteredValue: { numberValue: seconds / 86400 },
+      numberFormat: { type: "TIME", pattern: "hh:mm:ss" },
+    };
+  }
+
+  return { userEnteredValue: { stringValue: text } };
+}
+
+function toRowData(row, format) {
+  return {
+    values: row.map((value) => {
+      const { userEnteredValue, numberFormat } = toCellValue(value);
+      return {
+        userEnteredValue,
+        userEnteredFormat: {
+          backgroundColor: format?.backgroundColor || WHITE,
+          textFormat: {
+            foregroundColor: format?.textColor || BLACK,
+            bold: false,
+            italic: false,
+          },
+          ...(numberFormat && { numberFormat }),
+        },
+      };
+    }),
+  };
+}
+
+const CELL_FIELDS = "userEnteredValue,userEnteredFormat(backgroundColor,textFormat,numberFormat)";
+
+/**
+ * Write buffered rows for any number of tabs with a single batchUpdate
+ * @param {Object<string, {prepends: Array<{startRow: number, rows: Array<Array<string>>, formats: Array<object|null>}>, appends: Array<{rows: Array<Array<string>>, formats: Array<object|null>}>}>} batch -
+ *   Rows per tab, in the order they were written
+ */
+export async function writeSheetBatch(batch) {
   const authClient = await auth.getClient();
   const sheets = google.sheets({ version: "v4", auth: authClient });
+  const requests = [];
 
-  if (newData.length === 0) {
-    console.log(`ℹ️ No data to prepend to "${sheetTitle}"`);
-    return;
-  }
-
-  console.log(`📝 Prepending ${newData.length} rows to "${sheetTitle}" starting at row ${startRowIndex}`);
+  for (const [sheetTitle, { prepends = [], appends = [] }] of Object.entries(batch)) {
+    const sheetId = await getSheetId(sheets, sheetTitle);
+    if (sheetId === undefined) {
+      throw new Error(`Sheet tab "${sheetTitle}" not found`);
+    }
 
-  // Step 1: Insert the required number of rows at the top (after header)
-  const insertRequests = [{
-    insertDimension: {
-      range: {
-        sheetId: await getSheetId(sheets, sheetTitle),
-        dimension: "ROWS",
-        startIndex: startRowIndex - 1, // 0-based index, so subtract 1
-        endIndex: startRowIndex - 1 + newData.length
-      },
-      inheritFromBefore: false
+    // Each prepend used to land above the previous one, so the newest rows go first
+    const prependsByRow = new Map();
+    for (const entry of prepends) {
+      const rowData = entry.rows.map((row, index) => toRowData(row, entry.formats?.[index]));
+      prependsByRow.set(entry.startRow, [...rowData, ...(prependsByRow.get(entry.startRow) || [])]);
     }
-  }];
 
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId: SHEET_ID,
-    requestBody: { requests: insertRequests }
-  });
+    for (const [startRow, rows] of prependsByRow) {
+      requests.push(
+        {
+          insertDimension: {
+            range: {
+              sheetId,
+              dimension: "ROWS",
+              startIndex: startRow - 1, // 0-based index, so subtract 1
+              endIndex: startRow - 1 + rows.length,
+            },
+            inheritFromBefore: false,
+          },
+        },
+        {
+          updateCells: {
+            start: { sheetId, rowIndex: startRow - 1, columnIndex: 0 },
+            rows,
+            fields: CELL_FIELDS,
+          },
+        },
+      );
+    }
 
-  // Step 2: Clear any inherited formatting from the inserted rows
-  const clearFormatRequests = [{
-    repeatCell: {
-      range: {
-        sheetId: await getSheetId(sheets, sheetTitle),
-        startRowIndex: startRowIndex - 1,
-        endRowIndex: startRowIndex - 1 + newData.length,
-        startColumnIndex: 0,
-        endColumnIndex: 20 // Clear all columns
-      },
-      cell: {
-        userEnteredFormat: {
-          backgroundColor: { red: 1, green: 1, blue: 1 }, // White background
-          textFormat: {
-            foregroundColor: { red: 0, green: 0, blue: 0 }, // Black text
-            bold: false,
-            italic: false
-          }
-        }
-      },
-      fields: "userEnteredFormat(backgroundColor,textFormat)"
+    const appendRows = appends.flatMap((entry) =>
+      entry.rows.map((row, index) => toRowData(row, entry.formats?.[index])),
+    );
+    if (appendRows.length > 0) {
+      requests.push({
+        appendCells: { sheetId, rows: appendRows, fields: CELL_FIELDS },
+      });
     }
-  }];
+  }
 
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId: SHEET_ID,
-    requestBody: { requests: clearFormatRequests }
-  });
+  if (requests.length === 0) return;
 
-  // Step 3: Write the new data into the inserted rows
-  await sheets.spreadsheets.values.update({
+  await sheets.spreadsheets.batchUpdate({
     spreadsheetId: SHEET_ID,
-    range: `${sheetTitle}!A${startRowIndex}`,
-    valueInputOption: "USER_ENTERED",
-    requestBody: {
-      values: newData,
-    },
+    requestBody: { requests },
   });
-
-  console.log(`✅ Successfully prepended ${newData.length} rows to "${sheetTitle}" with cleared formatting`);
 }
@@ -0,0 +1,173 @@
+import { randomUUID } from "crypto";
+import redisClient from "../config/redis.server";
+import { ensureSheetHeaderRow, getSheet, writeSheetBatch } from "./googleSheet.server";
+import { sheetFlushQueue } from "../queues/sheetFlushQueue.server";
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.SHEET_FLUSH_INTERVAL_MS || "2000");
+const FLUSH_MAX_ROWS = parseInt(process.env.SHEET_FLUSH_MAX_ROWS || "200");
+const STALE_FLUSH_MS = 5 * 60 * 1000; // A flush still holding its rows after this long was cut short by a crash
+
+// Rows waiting to be written live in a Redis list shared by every process, so a crash or restart doesn't lose them.
+// Each entry is { sheetTitle, kind: "prepends" | "appends", entry: { startRow?, rows, formats } }, in write order.
+const BUFFER_KEY = "sheet-buffer";
+// A flush moves the whole list to its own key, named after when it started, and deletes it once the rows are safe
+const FLUSHING_KEY_PREFIX = "sheet-buffer:flushing:";
+
+// Rows this process buffered since its last flush, for the early flush
+let pendingRowCount = 0;
+let flushTimer = null;
+let lastFlush = Promise.resolve();
+
+// Tabs whose header has already been checked by this process
+const ensuredHeaders = new Set();
+
+/**
+ * Write a batch, or hand it to the sheet-flush queue for retries if Sheets rejects it
+ * @returns {Promise<boolean>} - False if the rows could not be written nor queued
+ */
+async function writeBatch(batch) {
+  const rowCount = Object.values(batch)
+    .flatMap(({ prepends, appends }) => [...prepends, ...appends])
+    .reduce((total, entry) => total + entry.rows.length, 0);
+
+  try {
+    await writeSheetBatch(batch);
+    console.log(`✅ Flushed ${rowCount} rows to ${Object.keys(batch).join(", ")}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Sheet flush of ${rowCount} rows failed, queueing for retry:`, error.message);
+    try {
+      await sheetFlushQueue.add("sheet-flush", { batch });
+      return true;
+    } catch (queueError) {
+      console.error("‼️ Could not queue failed sheet flush, keeping the rows in Redis:", queueError);
+      return false;
+    }
+  }
+}
+
+/**
+ * Write the rows held by a flushing key, and delete the key once they are written or queued
+ * @param {string} flushingKey - Key the buffered entries were moved to
+ */
+async function flushKey(flushingKey) {
+  const batch = {};
+  for (const raw of await redisClient.lrange(flushingKey, 0, -1)) {
+    const { sheetTitle, kind, entry } = JSON.parse(raw);
+    batch[sheetTitle] ||= { prepends: [], appends: [] };
+    batch[sheetTitle][kind].push(entry);
+  }
+
+  if (Object.keys(batch).length === 0 || (await writeBatch(batch))) {
+    await redisClient.del(flushingKey);
+  }
+}
+
+/**
+ * Atomically move a key to a new flushing key, so only one process flushes its rows
+ * @param {string} key - The buffer, or a stale flushing key
+ * @returns {Promise<string|null>} - The flushing key, or null if there was nothing to move
+ */
+async function claimKey(key) {
+  const flushingKey = `${FLUSHING_KEY_PREFIX}${Date.now()}:${randomUUID()}`;
+  try {
+    await redisClient.rename(key, flushingKey);
+    return flushingKey;
+  } catch (error) {
+    // Nothing buffered, or another process claimed it first
+    if (/no such key/i.test(error.message)) return null;
+    throw error;
+  }
+}
+
+async function flushBuffer() {
+  try {
+    const flushingKey = await claimKey(BUFFER_KEY);
+    if (flushingKey) await flushKey(flushingKey);
+  } catch (error) {
+    console.error("❌ Sheet flush failed, the rows stay in Redis:", error);
+  }
+}
+
+/**
+ * Write the rows of flushes a crashed or restarted process never finished, and anything left in the buffer
+ */
+async function recoverSheetWrites() {
+  try {
+    for (const key of await redisClient.keys(`${FLUSHING_KEY_PREFIX}*`)) {
+      const startedAt = parseInt(key.slice(FLUSHING_KEY_PREFIX.length));
+      if (Date.now() - startedAt < STALE_FLUSH_MS) continue;
+
+      const flushingKey = await claimKey(key);
+      if (flushingKey) {
+        console.log(`🔄 Recovering sheet rows of an unfinished flush (${key})`);
+        await flushKey(flushingKey);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Could not recover unfinished sheet flushes:", error);
+  }
+  await flushBuffer();
+}
+
+/**
+ * Write every buffered row now, in one batchUpdate
+ * @returns {Promise<void>} - Resolves once this and any earlier flush have finished
+ */
+export function flushSheetWrites() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  pendingRowCount = 0;
+
+  lastFlush = lastFlush.then(flushBuffer);
+  return lastFlush;
+}
+
+async function bufferRows(sheetTitle, kind, entry) {
+  if (entry.rows.length === 0) return;
+
+  await redisClient.rpush(BUFFER_KEY, JSON.stringify({ sheetTitle, kind, entry }));
+  pendingRowCount += entry.rows.length;
+
+  if (pendingRowCount >= FLUSH_MAX_ROWS) {
+    flushSheetWrites();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushSheetWrites, FLUSH_INTERVAL_MS);
+  }
+}
+
+// Pick up rows a previous run of the app left behind
+lastFlush = lastFlush.then(recoverSheetWrites);
+
+/**
+ * Google Sheets implementation of the sheet sink (see sheetSink.server.js).
+ * Rows are buffered in Redis across jobs and processes and written behind, so a burst of webhooks costs one request per flush.
+ */
+export const googleSheetSink = {
+  async ensureHeader(sheetTitle, header) {
+    if (ensuredHeaders.has(sheetTitle)) return;
+
+    await ensureSheetHeaderRow(sheetTitle, header);
+    ensuredHeaders.add(sheetTitle);
+  },
+
+  async prependRows(sheetTitle, rows, { startRow = 3, formats = [] } = {}) {
+    await bufferRows(sheetTitle, "prepends", { startRow, rows, formats });
+  },
+
+  async appendRows(sheetTitle, rows, { formats = [] } = {}) {
+    await bufferRows(sheetTitle, "appends", { rows, formats });
+  },
+
+  async readRows(sheetTitle) {
+    // Make sure reads see rows still sitting in the buffer
+    await flushSheetWrites();
+    const { values = [] } = await getSheet(sheetTitle);
+    return values;
+  },
+};
+
+process.on("SIGTERM", async () => {
+  console.log("Flushing buffered sheet writes...");
+  await flushSheetWrites();
+});
@@ -0,0 +1,230 @@
+import db from "../db.server";
+import { makeShopifyGraphQLRequest } from "./shopify.server";
+import { withSKULock } from "./skuLock.server";
+
+// Why a line item is waiting for staff to assign its subSKUs
+export const HOLD_REASONS = {
+  EXPLICIT: "explicit", // The SKU is allocated explicitly
+  SIZE_UNAVAILABLE: "size_unavailable", // No available unit of the ordered size
+  OUT_OF_STOCK: "out_of_stock", // Too few available units under the strict oversell policy
+};
+
+// Order tag shown in the Shopify admin while any line item of the order is held
+export const HELD_ORDER_TAG = "sub-sku-held";
+
+/**
+ * Tell staff a line item is waiting: tag the order in Shopify and post to HELD_ORDER_ALERT_URL when set.
+ * Alerts are best effort, a failure is logged and doesn't undo the hold.
+ * @param {object} session - Shopify session
+ * @param {Object} held - The held line item
+ */
+async function alertHeldLineItem(session, held) {
+  try {
+    await makeShopifyGraphQLRequest(
+      session,
+      `
+      mutation tagHeldOrder($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          userErrors {
+            message
+          }
+        }
+      }
+    `,
+      { id: `gid://shopify/Order/${held.orderId}`, tags: [HELD_ORDER_TAG] },
+    );
+  } catch (error) {
+    console.error(`Error tagging held order ${held.orderName}:`, error);
+  }
+
+  if (!process.env.HELD_ORDER_ALERT_URL) return;
+
+  try {
+    await fetch(process.env.HELD_ORDER_ALERT_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        text: `${session.shop}: ${held.orderName} is waiting for ${held.quantity} × ${held.sku}${held.size ? ` (size ${held.size})` : ""} (${held.reason})`,
+        shop: session.shop,
+        orderId: held.orderId,
+        orderName: held.orderName,
+        lineItemId: held.lineItemId,
+        sku: held.sku,
+        quantity: held.quantity,
+        reason: held.reason,
+      }),
+    });
+  } catch (error) {
+    console.error(`Error sending held order alert for ${held.orderName}:`, error);
+  }
+}
+
+/**
+ * Remove the held tag from an order once none of its line items are waiting any more
+ * @param {object} session - Shopify session
+ * @param {string} orderId - Shopify order ID
+ */
+export async function clearHeldOrderTag(session, orderId) {
+  const stillHeld = await db.HeldLineItem.count({
+    where: { shop: session.shop, orderId: String(orderId), resolvedAt: null },
+  });
+  if (stillHeld > 0) return;
+
+  try {
+    await makeShopifyGraphQLRequest(
+      session,
+      `
+      mutation untagHeldOrder($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          userErrors {
+            message
+          }
+        }
+      }
+    `,
+      { id: `gid://shopify/Order/${orderId}`, tags: [HELD_ORDER_TAG] },
+    );
+  } catch (error) {
+    console.error(`Error untagging order ${orderId}:`, error);
+  }
+}
+
+/**
+ * Hold an order line item for staff to assign its subSKUs, and alert staff
+ * @param {object} session - Shopify session
+ * @param {{orderId: string|number, orderName: string, lineItemId: string|number, sku: string, quantity: number, locationId?: string|number, size?: string|null, reason: string, webhookType: string}} lineItem -
+ *   The order and line item, the base SKU and number of units it needs, the fulfilling location, the ordered size,
+ *   why it is held (one of HOLD_REASONS) and the job that held it
+ * @returns {Promise<Object>} - The held line item
+ */
+export async function holdLineItem(
+  session,
+  { orderId, orderName, lineItemId, sku, quantity, locationId = null, size = null, reason, webhookType },
+) {
+  const held = await db.HeldLineItem.create({
+    data: {
+      shop: session.shop,
+      orderId: String(orderId),
+      orderName,
+      lineItemId: String(lineItemId),
+      sku,
+      quantity,
+      locationId: locationId ? String(locationId) : null,
+      size,
+      reason,
+      webhookType,
+    },
+  });
+
+  console.warn(`✋ Held ${orderName} line item ${lineItemId} (${reason}) for manual assignment of ${quantity} ${sku}`);
+  await alertHeldLineItem(session, held);
+  return held;
+}
+
+/**
+ * Line items waiting for staff to assign subSKUs, oldest first
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getHeldLineItems(shop) {
+  return db.HeldLineItem.findMany({
+    where: { shop, resolvedAt: null },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Units of held line items per SKU and location. Shopify already counts them as committed,
+ * while the units they will get are still available in the pool, so stock comparisons
+ * with Shopify take them off our side.
+ * @param {string} shop - Shop domain
+ * @param {{sku?: string}} [filter] - Only count line items of this base SKU
+ * @returns {Promise<Map<string, number>>} - Held quantity keyed by SKU and location ID ("" without a location)
+ */
+export async function getHeldQuantities(shop, { sku } = {}) {
+  const heldLineItems = await db.HeldLineItem.findMany({
+    where: { shop, resolvedAt: null, ...(sku && { sku }) },
+    select: { sku: true, locationId: true, quantity: true },
+  });
+
+  const quantities = new Map();
+  for (const held of heldLineItems) {
+    const key = `${held.sku}\u0000${held.locationId || ""}`;
+    quantities.set(key, (quantities.get(key) || 0) + held.quantity);
+  }
+  return quantities;
+}
+
+/**
+ * Mark a held line item as assigned, only one caller can claim it
+ * @param {string} shop - Shop domain
+ * @param {string} id - Held line item ID
+ * @returns {Promise<boolean>} - False if it was already resolved or doesn't exist
+ */
+export async function resolveHeldLineItem(shop, id) {
+  const { count } = await db.HeldLineItem.updateMany({
+    where: { id, shop, resolvedAt: null },
+    data: { resolvedAt: new Date() },
+  });
+  return count > 0;
+}
+
+/**
+ * Stop holding units that won't be fulfilled any more: all of an order's held line items when it is cancelled,
+ * or part of them when line items are refunded or removed. A line item's held units are released before its
+ * assigned ones, so callers only release assigned subSKUs for the rest. Holds count as committed stock, so
+ * they are changed under the SKU lock like the pool.
+ * @param {object} session - Shopify session
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object<string, number>|null} [quantities] - Units no longer needed per line item ID, every held unit of the order when omitted
+ * @returns {Promise<Object<string, number>>} - Held units released per line item ID
+ */
+export async function releaseHeldLineItems(session, orderId, quantities = null) {
+  const heldLineItems = await db.HeldLineItem.findMany({
+    where: {
+      shop: session.shop,
+      orderId: String(orderId),
+      resolvedAt: null,
+      ...(quantities && { lineItemId: { in: Object.keys(quantities).map(String) } }),
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (heldLineItems.length === 0) return {};
+
+  const remaining = { ...quantities };
+  const released = {};
+  for (const held of heldLineItems) {
+    const quantity = quantities ? Math.min(remaining[held.lineItemId] || 0, held.quantity) : held.quantity;
+    if (quantity <= 0) continue;
+
+    const { count } = await withSKULock(session.shop, held.sku, () =>
+      db.HeldLineItem.updateMany({
+        where: { id: held.id, resolvedAt: null, quantity: held.quantity },
+        data:
+          quantity < held.quantity
+            ? { quantity: held.quantity - quantity }
+            : { resolvedAt: new Date(), cancelledAt: new Date() },
+      }),
+    );
+    if (count === 0) continue;
+
+    if (quantities) remaining[held.lineItemId] -= quantity;
+    released[held.lineItemId] = (released[held.lineItemId] || 0) + quantity;
+  }
+
+  console.log(`🗑️ Released held units of order ${orderId}:`, released);
+  await clearHeldOrderTag(session, orderId);
+  return released;
+}
+
+/**
+ * Put a held line item back in the queue, after its assignment failed
+ * @param {string} shop - Shop domain
+ * @param {string} id - Held line item ID
+ */
+export async function reopenHeldLineItem(shop, id) {
+  await db.HeldLineItem.updateMany({
+    where: { id, shop, cancelledAt: null },
+    data: { resolvedAt: null },
+  });
+}
@@ -1,24 +1,41 @@
 import db from "../db.server";
+import { getPropertyValue, processWebhookPayload } from "./googleSheet.server";
 import {
-  insertOrdersGroupedByDate,
-  processWebhookPayload,
-  ensureSheetHasHeader,
-  upsertRowsToGoogleSheet,
-  getSheetId,
-  getSheet,
-  addSheetOrderHeader,
-  updateSubSkuWithOrderInfo,
-  ensureSheetTabExists,
-  groupByDate,
-  auth,
-  prependDataToSheet
-} from "./googleSheet.server";
+  ensureSheetHeader,
+  prependSheetRows,
+} from "./sheetSink.server";
+import {
+  getPlacedOrderMovements,
+  ORDER_REASONS,
+  writeOrderMovements,
+} from "./orderSheet.server";
 import { 
   logInventoryReductionWithReason
 } from "./inventoryLog.server";
+import { isFulfillmentRecorded, LEDGER_EVENTS, recordSubSKUEvents } from "./subSkuLedger.server";
+import { withSKULock } from "./skuLock.server";
+import { isInventoryEcho } from "./inventoryEcho.server";
+import { claimRefundSelection, pickSubSKUsToRelease } from "./refundSelection.server";
+import {
+  ALLOCATION_STRATEGIES,
+  getAllocationStrategy,
+  getOversellPolicy,
+  OVERSELL_POLICIES,
+} from "./allocationStrategy.server";
+import {
+  getHeldQuantities,
+  HOLD_REASONS,
+  holdLineItem,
+  releaseHeldLineItems,
+} from "./heldLineItems.server";
+import { getSubSKUNumber, issueSubSKUNames } from "./subSkuCounter.server";
+import {
+  assertTransitions,
+  normalizeStatus,
+  SHOPIFY_STOCK_STATUSES,
+  SUB_SKU_STATUSES,
+} from "./subSkuStatus.server";
 import { makeShopifyGraphQLRequest } from "../utils/shopify.server";
-import { google } from "googleapis";
-import process from "process";
 
 export async function getAllLocations(session) {
   const query = `
@@ -38,6 +55,133 @@ export async function getAllLocations(session) {
   return data.data.locations.edges.map((edge) => edge.node);
 }
 
+/**
+ * Fetch a variant's weight converted to grams
+ * @param {object} session - Shopify session
+ * @param {string|number} variantId - Variant ID or GID
+ * @returns {Promise<number|null>} - Weight in grams, or null if the variant has none or the request failed
+ */
+export async function getVariantWeightInGrams(session, variantId) {
+  try {
+    const variantResponse = await fetch(
+      `https://${session.shop}/admin/api/2025-01/variants/${String(variantId).split('/').pop()}.json?fields=weight_unit,weight`,
+      {
+        headers: {
+          'X-Shopify-Access-Token': session.accessToken,
+        },
+      }
+    );
+
+    const variantData = await variantResponse.json();
+    const variant = variantData.variant;
+
+    if (variant?.weight && variant?.weight_unit) {
+      switch (variant.weight_unit.toLowerCase()) {
+        case 'kg':
+          return variant.weight * 1000;
+        case 'g':
+          return variant.weight;
+        case 'lb':
+          return variant.weight * 453.592;
+        case 'oz':
+          return variant.weight * 28.3495;
+      }
+    }
+  } catch (error) {
+    console.error(`Error fetching variant weight for variant ${variantId}:`, error);
+  }
+  return null;
+}
+
+/**
+ * Measured weights of subSKUs, for the units that have one
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {Array<string>} subSkuNames - SubSKUs to look up
+ * @returns {Promise<Object<string, number>>} - Weight in grams per subSKU name
+ */
+export async function getSubSKUWeights(shop, baseSku, subSkuNames) {
+  const sku = await db.SKU.findUnique({
+    where: { shop_sku: { shop, sku: baseSku } },
+  });
+
+  return Object.fromEntries(
+    (sku?.subSKU || [])
+      .filter((subSku) => subSkuNames.includes(subSku.name) && subSku.weight != null)
+      .map((subSku) => [subSku.name, subSku.weight]),
+  );
+}
+
+/**
+ * Store or clear an optional attribute (weight, size) of a single subSKU
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {string} subSkuName - The subSKU to update
+ * @param {string} key - Attribute name
+ * @param {*} value - New value, or null to remove the attribute
+ * @throws {Error} - If the subSKU doesn't exist
+ */
+async function setSubSKUAttribute(shop, baseSku, subSkuName, key, value) {
+  await withSKULock(shop, baseSku, async () => {
+    const sku = await db.SKU.findUnique({
+      where: { shop_sku: { shop, sku: baseSku } },
+    });
+
+    if (!sku?.subSKU?.some((subSku) => subSku.name === subSkuName)) {
+      throw new Error(`SubSKU ${subSkuName} not found`);
+    }
+
+    await db.SKU.update({
+      where: { shop_sku: { shop, sku: baseSku } },
+      data: {
+        subSKU: sku.subSKU.map((subSku) => {
+          if (subSku.name !== subSkuName) return subSku;
+          const updated = { ...subSku, [key]: value };
+          if (value === null) delete updated[key];
+          return updated;
+        }),
+      },
+    });
+  });
+}
+
+/**
+ * Store the measured weight of a single subSKU
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {string} subSkuName - The subSKU to weigh
+ * @param {number|null} weight - Weight in grams, or null to fall back to the variant weight
+ * @throws {Error} - If the subSKU doesn't exist or the weight isn't a positive number
+ */
+export async function setSubSKUWeight(shop, baseSku, subSkuName, weight) {
+  if (weight !== null && !(weight > 0)) {
+    throw new Error("Weight must be a positive number of grams");
+  }
+
+  await setSubSKUAttribute(shop, baseSku, subSkuName, "weight", weight);
+}
+
+/**
+ * Normalize a size for comparing a subSKU's size with the ordered one
+ * @param {string|null|undefined} size - Size as entered or ordered
+ * @returns {string} - Trimmed and lower-cased, empty when there is none
+ */
+export function normalizeSize(size) {
+  return String(size ?? "").trim().toLowerCase();
+}
+
+/**
+ * Store the size of a single made-to-measure subSKU
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {string} subSkuName - The subSKU to size
+ * @param {string|null} size - The size, matched against the __selected_size line item property, or null to clear it
+ * @throws {Error} - If the subSKU doesn't exist
+ */
+export async function setSubSKUSize(shop, baseSku, subSkuName, size) {
+  await setSubSKUAttribute(shop, baseSku, subSkuName, "size", size?.trim() || null);
+}
+
 export async function getInventoryLevels(session, inventoryItemId) {
   const query = `
       query GetInventoryLevels($inventoryItemId: ID!) {
@@ -66,17 +210,84 @@ export async function getInventoryLevels(session, inventoryItemId) {
   return data.data.inventoryItem.inventoryLevels.edges.map((edge) => edge.node);
 }
 
+/**
+ * Location each line item of an order is fulfilled from, taken from the order's fulfillment orders
+ * @param {object} session - Shopify session
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Promise<Object<string, string>>} - Location ID per line item ID; empty if the order can't be read
+ */
+export async function getOrderLineItemLocations(session, orderId) {
+  const query = `
+      query getOrderLineItemLocations($id: ID!) {
+        order(id: $id) {
+          fulfillmentOrders(first: 20) {
+            nodes {
+              assignedLocation {
+                location {
+                  id
+                }
+              }
+              lineItems(first: 50) {
+                nodes {
+                  lineItem {
+                    id
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+  try {
+    const data = await makeShopifyGraphQLRequest(session, query, {
+      id: `gid://shopify/Order/${orderId}`,
+    });
+    const locations = {};
+
+    for (const fulfillmentOrder of data.data.order?.fulfillmentOrders?.nodes || []) {
+      const locationId = toLocationId(fulfillmentOrder.assignedLocation?.location?.id);
+      if (!locationId) continue;
+
+      for (const { lineItem } of fulfillmentOrder.lineItems.nodes) {
+        locations[lineItem.id.split("/").pop()] = locationId;
+      }
+    }
+
+    return locations;
+  } catch (error) {
+    console.error(`Error fetching fulfillment locations for order ${orderId}:`, error);
+    return {};
+  }
+}
+
+/**
+ * Adjust a Shopify inventory item's available quantity at one location
+ * @param {object} admin - Shopify admin client
+ * @param {string} inventoryItemId - Inventory item GID
+ * @param {number} delta - Quantity to add (negative to remove)
+ * @param {string} locationId - Location GID
+ * @param {string} [reason] - Shopify adjustment reason, e.g. "correction" or "movement_created"
+ * @returns {Promise<object>} - The GraphQL response, with any userErrors logged
+ */
 export async function setInventoryQuantity(
   admin,
   inventoryItemId,
   delta,
   locationId,
+  reason = "correction",
 ) {
   const mutation = `
       mutation adjustInventory($input: InventoryAdjustQuantitiesInput!) {
         inventoryAdjustQuantities(input: $input) {
           inventoryAdjustmentGroup {
             createdAt
+            changes {
+              name
+              delta
+              quantityAfterChange
+            }
           }
           userErrors {
             field
@@ -89,7 +300,7 @@ export async function setInventoryQuantity(
   const variables = {
     input: {
       name: "available",
-      reason: "correction",
+      reason,
       changes: [
         {
           inventoryItemId,
@@ -158,14 +369,36 @@ export async function getInventoryItemBySKU(session, sku) {
   return data.data.inventoryItem;
 }
 
+/**
+ * Numeric Shopify location ID from a GID or a plain ID
+ * @param {string|number|null} id - Location ID or GID
+ * @returns {string|null}
+ */
+export function toLocationId(id) {
+  return id == null ? null : String(id).split("/").pop();
+}
+
+/**
+ * Whether a subSKU belongs to a location's pool. Without a location every subSKU counts.
+ * @param {{locationId?: string}} subSku - The subSKU
+ * @param {string|null} locationId - Shopify location ID
+ * @returns {boolean}
+ */
+function isAtLocation(subSku, locationId) {
+  return !locationId || subSku?.locationId === String(locationId);
+}
+
 /**
  * Get available quantity for a specific SKU or all SKUs
+ * @param {string} shop - Shop domain the SKUs belong to
  * @param {string} [sku] - Optional SKU to check. If not provided, returns all SKUs
- * @returns {Promise<{ sku: string, totalQuantity: number, availableQuantity: number, availableSubSkus: Array<{name: string, status: string}> }[]>}
+ * @param {{locationId?: string|number}} [options] - Only count the subSKUs stocked at this Shopify location
+ * @returns {Promise<{ sku: string, totalQuantity: number, availableQuantity: number, stockQuantity: number, availableSubSkus: Array<{name: string, status: string}> }[]>}
+ *   stockQuantity also counts units Shopify sees as on hand (e.g. returns awaiting inspection), for reconciling against Shopify
  */
-export async function getAvailableSKUs(sku = null) {
+export async function getAvailableSKUs(shop, sku = null, { locationId = null } = {}) {
   try {
-    const query = sku ? { sku } : {};
+    const query = sku ? { shop, sku } : { shop };
 
     const skus = await db.SKU.findMany({
       where: query,
@@ -178,12 +411,13 @@ export async function getAvailableSKUs(sku = null) {
           sku: skuItem.sku,
           totalQuantity: 0,
           availableQuantity: 0,
+          stockQuantity: 0,
           availableSubSkus: [],
         };
       }
 
       // First sort all subSKUs by their number to ensure sequential order
-      const sortedSubSKUs = skuItem.subSKU.sort((a, b) => {
+      const sortedSubSKUs = skuItem.subSKU.filter((subSku) => isAtLocation(subSku, locationId)).sort((a, b) => {
         // Extract numbers from subSKU names (e.g., "SKU-0001" -> 1)
         const numA = parseInt(a.name?.split("-").pop() || "0");
         const numB = parseInt(b.name?.split("-").pop() || "0");
@@ -198,8 +432,11 @@ export async function getAvailableSKUs(sku = null) {
       console.log({availableSubSkus, sortedSubSKUs}, "availableSubSkus");
       return {
         sku: skuItem.sku,
-        totalQuantity: skuItem.subSKU.length,
+        totalQuantity: sortedSubSKUs.length,
         availableQuantity: availableSubSkus.length,
+        stockQuantity: sortedSubSKUs.filter(
+          (subSku) => SHOPIFY_STOCK_STATUSES.includes(subSku?.status)
+        ).length,
         availableSubSkus, // This will now be in correct sequential order
       };
     });
@@ -211,13 +448,14 @@ export async function getAvailableSKUs(sku = null) {
 
 /**
  * Check if a specific SKU has available quantity
+ * @param {string} shop - Shop domain the SKU belongs to
  * @param {string} sku - SKU to check
  * @param {number} quantity - Quantity needed
  * @returns {Promise<boolean>}
  */
-export async function hasAvailableQuantity(sku, quantity) {
+export async function hasAvailableQuantity(shop, sku, quantity) {
   try {
-    const [skuData] = await getAvailableSKUs(sku);
+    const [skuData] = await getAvailableSKUs(shop, sku);
     return skuData && skuData.availableQuantity >= quantity;
   } catch (error) {
     console.error(`Error checking quantity for SKU ${sku}:`, error);
@@ -227,12 +465,13 @@ export async function hasAvailableQuantity(sku, quantity) {
 
 /**
  * Get the next available subSKU for a given SKU
+ * @param {string} shop - Shop domain the SKU belongs to
  * @param {string} sku - Base SKU to get next available subSKU from
  * @returns {Promise<string|null>} - Returns the next available subSKU or null if none available
  */
-export async function getNextAvailableSubSKU(sku) {
+export async function getNextAvailableSubSKU(shop, sku) {
   try {
-    const [skuData] = await getAvailableSKUs(sku);
+    const [skuData] = await getAvailableSKUs(shop, sku);
     if (!skuData || skuData.availableQuantity === 0) {
       return null;
     }
@@ -248,12 +487,15 @@ export async function getNextAvailableSubSKU(sku) {
 
 /**
  * Update the status of multiple subSKUs in a single operation
+ * @param {string} shop - Shop domain the SKU belongs to
  * @param {string} baseSku - The base SKU
  * @param {Array<string>} subSkuNames - Array of subSKU names to update
- * @param {string} newStatus - The new status to set
+ * @param {string} newStatus - The new status to set, one of SUB_SKU_STATUSES
+ * @param {{locationId?: string|number}} [options] - Shopify location the subSKUs are now stocked at, e.g. where a return was restocked
  * @returns {Promise<boolean>} - Returns true if update was successful
+ * @throws {Error} - If any subSKU may not move to the new status
  */
-export async function updateSubSKUStatus(baseSku, subSkuNames, newStatus) {
+export async function updateSubSKUStatus(shop, baseSku, subSkuNames, newStatus, { locationId = null } = {}) {
   try {
     console.log('🔄 Updating subSKU statuses:', {
       baseSku,
@@ -261,38 +503,50 @@ export async function updateSubSKUStatus(baseSku, subSkuNames, newStatus) {
       newStatus
     });
 
-    if (!baseSku || !subSkuNames || !newStatus) {
+    if (!shop || !baseSku || !subSkuNames || !newStatus) {
       throw new Error('Missing required parameters');
     }
 
     // Convert single subSkuName to array for consistent handling
     const subSkuNamesArray = Array.isArray(subSkuNames) ? subSkuNames : [subSkuNames];
 
-    const sku = await db.SKU.findUnique({
-      where: { sku: baseSku },
-    });
-
-    if (!sku) {
-      throw new Error(`SKU ${baseSku} not found`);
-    }
+    await withSKULock(shop, baseSku, async () => {
+      const sku = await db.SKU.findUnique({
+        where: { shop_sku: { shop, sku: baseSku } },
+      });
 
-    if (!Array.isArray(sku.subSKU)) {
-      throw new Error(`Invalid subSKU data for SKU ${baseSku}`);
-    }
+      if (!sku) {
+        throw new Error(`SKU ${baseSku} not found`);
+      }
 
-    // Update all specified subSKUs in a single operation
-    const updatedSubSKUs = sku.subSKU.map((subSku) => {
-      if (subSkuNamesArray.includes(subSku.name)) {
-        return { ...subSku, status: newStatus };
+      if (!Array.isArray(sku.subSKU)) {
+        throw new Error(`Invalid subSKU data for SKU ${baseSku}`);
       }
-      return subSku;
-    });
 
-    await db.SKU.update({
-      where: { sku: baseSku },
-      data: {
-        subSKU: updatedSubSKUs,
-      },
+      // Reject the whole update if any subSKU may not move to the new status
+      assertTransitions(
+        sku.subSKU.filter((subSku) => subSkuNamesArray.includes(subSku.name)),
+        newStatus,
+      );
+
+      // Update all specified subSKUs in a single operation
+      const updatedSubSKUs = sku.subSKU.map((subSku) => {
+        if (subSkuNamesArray.includes(subSku.name)) {
+          return {
+            ...subSku,
+            status: newStatus,
+            ...(locationId && { locationId: toLocationId(locationId) }),
+          };
+        }
+        return subSku;
+      });
+
+      await db.SKU.update({
+        where: { shop_sku: { shop, sku: baseSku } },
+        data: {
+          subSKU: updatedSubSKUs,
+        },
+      });
     });
 
     console.log('✅ Successfully updated subSKU statuses:', {
@@ -314,52 +568,259 @@ export async function updateSubSKUStatus(baseSku, subSkuNames, newStatus) {
 }
 
 /**
- * Add new subSKUs to an existing base SKU
- * @param {string} baseSku - The base SKU to add subSKUs to
- * @param {number} quantity - Number of new subSKUs to add
- * @returns {Promise<boolean>} - Returns true if addition was successful
+ * Put subSKUs released from an order back in stock in a single operation.
+ * Units that already shipped have been with the customer and wait for inspection, whatever
+ * the release; the others move to releasedStatus. Statuses are read under the SKU lock,
+ * so a fulfilment running at the same time can't turn the release into an illegal transition.
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {Array<string>} subSkuNames - SubSKUs released from the order
+ * @param {string} releasedStatus - Status of the units that didn't ship, one of SUB_SKU_STATUSES
+ * @param {{locationId?: string|number}} [options] - Shopify location the subSKUs are now stocked at
+ * @returns {Promise<Object<string, Array<string>>>} - The released subSKU names per new status, subSKUs no longer in the pool are skipped
+ * @throws {Error} - If the SKU doesn't exist or a subSKU may not move to its new status
  */
-export async function addSubSKUsToBase(baseSku, quantity) {
-  try {
+export async function releaseSubSKUs(shop, baseSku, subSkuNames, releasedStatus, { locationId = null } = {}) {
+  return withSKULock(shop, baseSku, async () => {
     const sku = await db.SKU.findUnique({
-      where: { sku: baseSku },
+      where: { shop_sku: { shop, sku: baseSku } },
     });
-
     if (!sku) {
       throw new Error(`SKU ${baseSku} not found`);
     }
+    const subSKUs = sku.subSKU.filter((subSku) => subSkuNames.includes(subSku.name));
+
+    const statusOf = (subSku) =>
+      normalizeStatus(subSku.status) === SUB_SKU_STATUSES.SHIPPED
+        ? SUB_SKU_STATUSES.RETURNED_PENDING_INSPECTION
+        : releasedStatus;
+    const released = {};
+    for (const subSku of subSKUs) {
+      assertTransitions([subSku], statusOf(subSku));
+      (released[statusOf(subSku)] ||= []).push(subSku.name);
+    }
+
+    await db.SKU.update({
+      where: { shop_sku: { shop, sku: baseSku } },
+      data: {
+        subSKU: sku.subSKU.map((subSku) =>
+          subSkuNames.includes(subSku.name)
+            ? {
+                ...subSku,
+                status: statusOf(subSku),
+                ...(locationId && { locationId: toLocationId(locationId) }),
+              }
+            : subSku,
+        ),
+      },
+    });
+
+    console.log(`✅ Released ${baseSku} subSKUs:`, released);
+    return released;
+  });
+}
 
-    // Get the current highest subSKU number
-    const currentSubSKUs = sku.subSKU || [];
-    let highestNumber = 0;
+/**
+ * Order subSKUs the way an allocation strategy hands them out, first to go first.
+ * Units received before intake dates were recorded count as the oldest, ties go by number.
+ * Weight strategies put units without a measured weight last; nearest_weight without a
+ * target weight, and explicit outside of order allocation, fall back to FIFO.
+ * @param {Array<Object>} subSKUs - SubSKUs to order
+ * @param {string} strategy - One of ALLOCATION_STRATEGIES
+ * @param {number|null} [targetWeight] - Variant weight in grams, for nearest_weight
+ * @returns {Array<Object>} - A sorted copy
+ */
+function sortForAllocation(subSKUs, strategy, targetWeight = null) {
+  const fifo = (a, b) =>
+    (a.receivedAt || "").localeCompare(b.receivedAt || "") ||
+    getSubSKUNumber(a.name) - getSubSKUNumber(b.name);
+  const byWeight = (weightKey) => (a, b) =>
+    (a.weight == null) - (b.weight == null) ||
+    (a.weight != null && b.weight != null && weightKey(a) - weightKey(b)) ||
+    fifo(a, b);
+
+  switch (strategy) {
+    case ALLOCATION_STRATEGIES.LIFO:
+      return [...subSKUs].sort((a, b) => fifo(b, a));
+    case ALLOCATION_STRATEGIES.HEAVIEST:
+      return [...subSKUs].sort(byWeight((subSku) => -subSku.weight));
+    case ALLOCATION_STRATEGIES.LIGHTEST:
+      return [...subSKUs].sort(byWeight((subSku) => subSku.weight));
+    case ALLOCATION_STRATEGIES.NEAREST_WEIGHT:
+      if (targetWeight != null) {
+        return [...subSKUs].sort(byWeight((subSku) => Math.abs(subSku.weight - targetWeight)));
+      }
+      return [...subSKUs].sort(fifo);
+    default:
+      return [...subSKUs].sort(fifo);
+  }
+}
 
-    if (currentSubSKUs.length > 0) {
-      const numbers = currentSubSKUs.map((subSku) => {
-        const match = subSku.name.match(/\d+$/);
-        return match ? parseInt(match[0]) : 0;
+/**
+ * Atomically reserve N available subSKUs for an order.
+ * Available subSKUs are picked in the order of the SKU's allocation strategy (its own override, else the shop's)
+ * and marked sold while holding the SKU lock, so concurrent line items or orders can never be handed the same subSKU.
+ * With a location, subSKUs stocked there go first, then subSKUs not tied to any location yet.
+ * Under the explicit strategy nothing is reserved and the result asks the caller to hold the line item for staff
+ * to assign its subSKUs. Without mintShortfall, too few available units reserve nothing either, and order creation
+ * under the strict oversell policy holds the line item as out of stock.
+ * When the SKU's units carry sizes and a size is ordered, only units of that size are taken; if too few are available
+ * nothing is reserved or minted and the caller holds the line item as well.
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {number} quantity - Number of subSKUs to reserve
+ * @param {{mintShortfall?: boolean, locationId?: string|number, targetWeight?: number|null, size?: string|null, subSkuNames?: Array<string>}} [options] -
+ *   Create the missing subSKUs instead of reserving nothing when too few are available, the Shopify location fulfilling
+ *   the line item, the variant weight in grams for nearest_weight, the ordered size, and the exact subSKUs staff picked (bypasses the strategy)
+ * @returns {Promise<{reserved: Array<string>, minted: Array<string>, held?: boolean, holdReason?: string}>} - Reserved subSKU names,
+ *   which of them were newly created, and whether the line item should be held for manual assignment and why (one of HOLD_REASONS)
+ */
+export async function reserveSubSKUs(
+  shop,
+  baseSku,
+  quantity,
+  { mintShortfall = false, locationId = null, targetWeight = null, size = null, subSkuNames = null } = {},
+) {
+  try {
+    return await withSKULock(shop, baseSku, async () => {
+      const sku = await db.SKU.findUnique({
+        where: { shop_sku: { shop, sku: baseSku } },
       });
-      highestNumber = Math.max(...numbers);
-    }
 
-    // Create new subSKUs
-    const newSubSKUs = [];
-    for (let i = 1; i <= quantity; i++) {
-      const subSKUNumber = String(highestNumber + i).padStart(4, "0");
-      newSubSKUs.push({
-        name: `${baseSku}-${subSKUNumber}`,
-        status: "available",
+      if (!sku) {
+        throw new Error(`SKU ${baseSku} not found`);
+      }
+
+      const strategy = subSkuNames ? null : await getAllocationStrategy(shop, sku);
+      if (strategy === ALLOCATION_STRATEGIES.EXPLICIT) {
+        return { reserved: [], minted: [], held: true, holdReason: HOLD_REASONS.EXPLICIT };
+      }
+
+      const currentSubSKUs = sku.subSKU || [];
+      // Made-to-measure SKUs (any unit has a size) only hand out units of the ordered size
+      const matchSize = !subSkuNames && normalizeSize(size) !== "" && currentSubSKUs.some((subSku) => subSku?.size);
+      const availableSubSKUs = sortForAllocation(
+        currentSubSKUs.filter(
+          (subSku) =>
+            subSku?.status === "available" && (!subSkuNames || subSkuNames.includes(subSku.name)),
+        ),
+        strategy,
+        targetWeight,
+      );
+      const sizedSubSKUs = matchSize
+        ? availableSubSKUs.filter((subSku) => normalizeSize(subSku.size) === normalizeSize(size))
+        : availableSubSKUs;
+      const allocatableSubSKUs = locationId
+        ? [
+            ...sizedSubSKUs.filter((subSku) => isAtLocation(subSku, locationId)),
+            ...sizedSubSKUs.filter((subSku) => !subSku.locationId),
+          ]
+        : sizedSubSKUs;
+
+      const reserved = allocatableSubSKUs.slice(0, quantity).map((subSku) => subSku.name);
+      const newSubSKUs = [];
+
+      if (reserved.length < quantity && matchSize) {
+        // A made-to-measure unit can't be minted, staff have to find or make one
+        console.log('⚠️ No available subSKUs of the ordered size:', {
+          baseSku,
+          size,
+          requested: quantity,
+          available: reserved.length
+        });
+        return { reserved: [], minted: [], held: true, holdReason: HOLD_REASONS.SIZE_UNAVAILABLE };
+      }
+
+      if (reserved.length < quantity) {
+        if (!mintShortfall) {
+          console.log('⚠️ Not enough available subSKUs to reserve:', {
+            baseSku,
+            requested: quantity,
+            available: reserved.length
+          });
+          return { reserved: [], minted: [] };
+        }
+
+        const mintedNames = await issueSubSKUNames(shop, baseSku, quantity - reserved.length);
+        for (const name of mintedNames) {
+          newSubSKUs.push({
+            name,
+            status: SUB_SKU_STATUSES.SOLD,
+            receivedAt: new Date().toISOString(),
+            ...(locationId && { locationId: toLocationId(locationId) }),
+          });
+        }
+      }
+
+      // Units taken from no location are sold from the fulfilling one
+      const updatedSubSKUs = currentSubSKUs.map((subSku) =>
+        reserved.includes(subSku.name)
+          ? {
+              ...subSku,
+              status: SUB_SKU_STATUSES.SOLD,
+              ...(locationId && !subSku.locationId && { locationId: toLocationId(locationId) }),
+            }
+          : subSku,
+      );
+
+      await db.SKU.update({
+        where: { shop_sku: { shop, sku: baseSku } },
+        data: {
+          subSKU: [...updatedSubSKUs, ...newSubSKUs],
+        },
       });
-    }
 
-    // Update the SKU with combined subSKUs
-    await db.SKU.update({
-      where: { sku: baseSku },
-      data: {
-        subSKU: [...currentSubSKUs, ...newSubSKUs],
-      },
+      const minted = newSubSKUs.map((subSku) => subSku.name);
+      return { reserved: [...reserved, ...minted], minted };
     });
+  } catch (error) {
+    console.error(`Error reserving ${quantity} subSKUs of ${baseSku}:`, error);
+    throw error;
+  }
+}
 
-    return true;
+/**
+ * Add new subSKUs to an existing base SKU
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU to add subSKUs to
+ * @param {number} quantity - Number of new subSKUs to add
+ * @param {{locationId?: string|number, weights?: Array<number>, size?: string|null}} [options] - Shopify location the new subSKUs are stocked at,
+ *   the weight in grams of each new subSKU, in order, and the size of made-to-measure units
+ * @returns {Promise<Array<string>>} - Returns the names of the added subSKUs
+ */
+export async function addSubSKUsToBase(shop, baseSku, quantity, { locationId = null, weights = [], size = null } = {}) {
+  try {
+    return await withSKULock(shop, baseSku, async () => {
+      const sku = await db.SKU.findUnique({
+        where: { shop_sku: { shop, sku: baseSku } },
+      });
+
+      if (!sku) {
+        throw new Error(`SKU ${baseSku} not found`);
+      }
+
+      const currentSubSKUs = sku.subSKU || [];
+
+      // Create new subSKUs
+      const newSubSKUs = (await issueSubSKUNames(shop, baseSku, quantity)).map((name, i) => ({
+        name,
+        status: "available",
+        receivedAt: new Date().toISOString(),
+        ...(locationId && { locationId: toLocationId(locationId) }),
+        ...(weights[i] != null && { weight: weights[i] }),
+        ...(size && { size }),
+      }));
+
+      // Update the SKU with combined subSKUs
+      await db.SKU.update({
+        where: { shop_sku: { shop, sku: baseSku } },
+        data: {
+          subSKU: [...currentSubSKUs, ...newSubSKUs],
+        },
+      });
+
+      return newSubSKUs.map((subSku) => subSku.name);
+    });
   } catch (error) {
     console.error(`Error adding subSKUs to ${baseSku}:`, error);
     throw error;
@@ -368,61 +829,234 @@ export async function addSubSKUsToBase(baseSku, quantity) {
 
 /**
  * Remove specific subSKUs from a base SKU
+ * @param {string} shop - Shop domain the SKU belongs to
  * @param {string} baseSku - The base SKU to remove subSKUs from
- * @param {string[]} subSkuNames - Array of subSKU names to remove
- * @returns {Promise<boolean>} - Returns true if removal was successful
+ * @param {number} quantity - Number of available subSKUs to remove
+ * @param {{locationId?: string|number}} [options] - Only remove subSKUs stocked at this Shopify location
+ * @returns {Promise<Array<string>>} - Returns the names of the removed subSKUs, the ones the SKU's allocation strategy would hand out next
  */
-export async function removeSubSKUsByQuantity(baseSku, quantity = 1) {
+export async function removeSubSKUsByQuantity(shop, baseSku, quantity = 1, { locationId = null } = {}) {
   try {
+    return await withSKULock(shop, baseSku, async () => {
+      const sku = await db.SKU.findUnique({
+        where: { shop_sku: { shop, sku: baseSku } },
+      });
+
+      if (!sku) {
+        throw new Error(`SKU ${baseSku} not found`);
+      }
+
+      // Get only available subSKUs, in the order the allocation strategy hands them out
+      const availableSubSKUs = sortForAllocation(
+        sku.subSKU.filter(
+          (subSku) => subSku.status === "available" && isAtLocation(subSku, locationId),
+        ),
+        await getAllocationStrategy(shop, sku),
+      );
+
+      if (availableSubSKUs.length < quantity) {
+        throw new Error(
+          `Not enough available subSKUs for ${baseSku}. Requested: ${quantity}, Available: ${availableSubSKUs.length}`,
+        );
+      }
+
+      // Stock that left Shopify is assumed to be the units that would have gone out next
+      const subSKUsToRemove = availableSubSKUs
+        .slice(0, quantity)
+        .map((subSku) => subSku.name);
+
+      // Keep all subSKUs except the ones in subSKUsToRemove
+      const updatedSubSKUs = sku.subSKU.filter(
+        (subSku) => !subSKUsToRemove.includes(subSku.name),
+      );
+
+      // Update the SKU with remaining subSKUs
+      console.log("🔄 Updating SKU:", {
+        sku: baseSku,
+        updatedSubSKUs,
+      });
+      await db.SKU.update({
+        where: { shop_sku: { shop, sku: baseSku } },
+        data: {
+          subSKU: updatedSubSKUs,
+        },
+      });
+
+      return subSKUsToRemove;
+    });
+  } catch (error) {
+    console.error(
+      `Error removing last ${quantity} available subSKUs from ${baseSku}:`,
+      error,
+    );
+    throw error;
+  }
+}
+
+/**
+ * Move available subSKUs that are not tied to a location yet into a location's pool.
+ * SubSKUs created before pools were tracked per location have no location, and are
+ * claimed by the first location that needs them instead of minting new ones.
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {number} quantity - Maximum number of subSKUs to move
+ * @param {string|number} locationId - Shopify location to move them to
+ * @returns {Promise<Array<string>>} - Names of the moved subSKUs
+ */
+export async function adoptUnlocatedSubSKUs(shop, baseSku, quantity, locationId) {
+  return withSKULock(shop, baseSku, async () => {
     const sku = await db.SKU.findUnique({
-      where: { sku: baseSku },
+      where: { shop_sku: { shop, sku: baseSku } },
+    });
+
+    const adopted = (sku?.subSKU || [])
+      .filter((subSku) => subSku.status === "available" && !subSku.locationId)
+      .sort((a, b) => getSubSKUNumber(a.name) - getSubSKUNumber(b.name))
+      .slice(0, quantity)
+      .map((subSku) => subSku.name);
+
+    if (adopted.length === 0) return [];
+
+    await db.SKU.update({
+      where: { shop_sku: { shop, sku: baseSku } },
+      data: {
+        subSKU: sku.subSKU.map((subSku) =>
+          adopted.includes(subSku.name)
+            ? { ...subSku, locationId: toLocationId(locationId) }
+            : subSku,
+        ),
+      },
+    });
+
+    return adopted;
+  });
+}
+
+/**
+ * Move named subSKUs from one location's pool to another's.
+ * Only units Shopify counts as stock can move, and each must be at the source location
+ * (or not tied to a location yet, in which case staff vouch for where it is).
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {Array<string>} subSkuNames - SubSKUs to move
+ * @param {string|number} fromLocation - Shopify location ID they leave
+ * @param {string|number} toLocation - Shopify location ID they arrive at
+ * @throws {Error} - If a subSKU doesn't exist, isn't in stock or is at another location
+ */
+export async function moveSubSKUsToLocation(shop, baseSku, subSkuNames, fromLocation, toLocation) {
+  const from = toLocationId(fromLocation);
+  const to = toLocationId(toLocation);
+
+  await withSKULock(shop, baseSku, async () => {
+    const sku = await db.SKU.findUnique({
+      where: { shop_sku: { shop, sku: baseSku } },
     });
 
     if (!sku) {
       throw new Error(`SKU ${baseSku} not found`);
     }
 
-    // Get only available subSKUs
-    const availableSubSKUs = sku.subSKU.filter(
-      (subSku) => subSku.status === "available",
-    );
+    for (const name of subSkuNames) {
+      const subSku = sku.subSKU.find((item) => item.name === name);
+      if (!subSku) {
+        throw new Error(`SubSKU ${name} not found`);
+      }
+      if (!SHOPIFY_STOCK_STATUSES.includes(subSku.status)) {
+        throw new Error(`SubSKU ${name} is ${subSku.status} and can't be transferred`);
+      }
+      if (subSku.locationId && subSku.locationId !== from) {
+        throw new Error(`SubSKU ${name} is stocked at location ${subSku.locationId}, not ${from}`);
+      }
+    }
 
-    if (availableSubSKUs.length < quantity) {
-      throw new Error(
-        `Not enough available subSKUs for ${baseSku}. Requested: ${quantity}, Available: ${availableSubSKUs.length}`,
-      );
+    await db.SKU.update({
+      where: { shop_sku: { shop, sku: baseSku } },
+      data: {
+        subSKU: sku.subSKU.map((subSku) =>
+          subSkuNames.includes(subSku.name) ? { ...subSku, locationId: to } : subSku,
+        ),
+      },
+    });
+  });
+}
+
+/**
+ * Swap an assigned subSKU for an available one of the same SKU: the replacement takes the
+ * assigned unit's status and the assigned unit goes back to available.
+ * The replacement must be stocked at the same location, so Shopify's quantities don't change,
+ * and for a made-to-measure unit it must be of the same size, so the customer keeps the size they ordered.
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {string} assignedName - The subSKU currently assigned to the order
+ * @param {string|null} [replacementName] - The subSKU to assign instead, by default the one the allocation strategy hands out next
+ * @param {{targetWeight?: number|null}} [options] - Variant weight in grams, for nearest_weight
+ * @returns {Promise<string>} - The replacement subSKU name
+ * @throws {Error} - If either subSKU doesn't exist, the assigned one can't be released or the replacement isn't available there in that size
+ */
+export async function swapSubSKUs(shop, baseSku, assignedName, replacementName = null, { targetWeight = null } = {}) {
+  return withSKULock(shop, baseSku, async () => {
+    const sku = await db.SKU.findUnique({
+      where: { shop_sku: { shop, sku: baseSku } },
+    });
+
+    const assigned = sku?.subSKU?.find((subSku) => subSku.name === assignedName);
+    if (!assigned) {
+      throw new Error(`SubSKU ${assignedName} not found`);
     }
+    const assignedStatus = normalizeStatus(assigned.status);
+    assertTransitions([assigned], SUB_SKU_STATUSES.AVAILABLE);
 
-    // Get the last N available subSKUs to remove based on quantity parameter
-    const subSKUsToRemove = availableSubSKUs
-      .slice(-quantity)  // Changed to use quantity parameter
-      .map((subSku) => subSku.name);
+    const strategy = await getAllocationStrategy(shop, sku);
+    if (!replacementName && strategy === ALLOCATION_STRATEGIES.EXPLICIT) {
+      throw new Error(`${baseSku} is allocated explicitly, choose the sub-SKU to swap in`);
+    }
 
-    // Keep all subSKUs except the ones in subSKUsToRemove
-    const updatedSubSKUs = sku.subSKU.filter(
-      (subSku) => !subSKUsToRemove.includes(subSku.name),
+    const candidates = sortForAllocation(
+      sku.subSKU.filter(
+        (subSku) =>
+          subSku.name !== assignedName &&
+          normalizeStatus(subSku.status) === SUB_SKU_STATUSES.AVAILABLE &&
+          // Units from before locations were tracked may be anywhere, staff vouch for them
+          (!subSku.locationId || isAtLocation(subSku, assigned.locationId)) &&
+          (!assigned.size || normalizeSize(subSku.size) === normalizeSize(assigned.size)),
+      ),
+      strategy,
+      targetWeight,
     );
+    const replacement = replacementName
+      ? candidates.find((subSku) => subSku.name === replacementName)
+      : candidates[0];
+
+    if (!replacement) {
+      const where = `${assigned.size ? ` in size ${assigned.size}` : ""}${assigned.locationId ? ` at location ${assigned.locationId}` : ""}`;
+      throw new Error(
+        replacementName
+          ? `SubSKU ${replacementName} is not available${where}`
+          : `No available ${baseSku} sub-SKU${where} to swap in`,
+      );
+    }
 
-    // Update the SKU with remaining subSKUs
-    console.log("🔄 Updating SKU:", {
-      sku: baseSku,
-      updatedSubSKUs,
-    });
     await db.SKU.update({
-      where: { sku: baseSku },
+      where: { shop_sku: { shop, sku: baseSku } },
       data: {
-        subSKU: updatedSubSKUs,
+        subSKU: sku.subSKU.map((subSku) => {
+          if (subSku.name === assignedName) {
+            return { ...subSku, status: SUB_SKU_STATUSES.AVAILABLE };
+          }
+          if (subSku.name === replacement.name) {
+            return {
+              ...subSku,
+              status: assignedStatus,
+              ...(assigned.locationId && { locationId: assigned.locationId }),
+            };
+          }
+          return subSku;
+        }),
       },
     });
 
-    return true;
-  } catch (error) {
-    console.error(
-      `Error removing last ${quantity} available subSKUs from ${baseSku}:`,
-      error,
-    );
-    throw error;
-  }
+    return replacement.name;
+  });
 }
 
 // Rate limiting helper
@@ -495,67 +1129,120 @@ async function makeShopifyRequest(admin, query, variables) {
 
 /**
  * Create or update a SKU entry in the database
+ * @param {string} shop - Shop domain the SKU belongs to
  * @param {string} sku - The SKU to create/update
  * @param {number} quantity - Initial quantity to create
+ * @param {{locationId?: string|number}} [options] - Shopify location the initial subSKUs are stocked at
  * @returns {Promise<Object>} - Returns the created/updated SKU object
  */
-export async function createNewSKU(sku, quantity = 0) {
+export async function createNewSKU(shop, sku, quantity = 0, { locationId = null } = {}) {
   try {
-    // First check if SKU exists
-    const existingSKU = await db.SKU.findUnique({
-      where: { sku }
-    });
+    return await withSKULock(shop, sku, async () => {
+      // First check if SKU exists
+      const existingSKU = await db.SKU.findUnique({
+        where: { shop_sku: { shop, sku } }
+      });
 
-    // Generate subSKUs
-    const subSKUs = Array.from({ length: quantity }, (_, i) => ({
-      name: `${sku}-${String(i + 1).padStart(4, '0')}`,
-      status: 'available'
-    }));
+      // If SKU exists and has subSKUs, return existing
+      if (existingSKU?.subSKU?.length > 0) {
+        console.log(`ℹ️ SKU ${sku} already exists with ${existingSKU.subSKU.length} subSKUs`);
+        return existingSKU;
+      }
 
-    if (!existingSKU) {
-      // Create new SKU if it doesn't exist
-      const newSKU = await db.SKU.create({
-        data: {
+      // Generate subSKUs, numbered by the SKU's counter so an emptied pool doesn't start over at 0001
+      const subSKUs = (await issueSubSKUNames(shop, sku, quantity)).map((name) => ({
+        name,
+        status: 'available',
+        receivedAt: new Date().toISOString(),
+        ...(locationId && { locationId: toLocationId(locationId) })
+      }));
+
+      // Create new SKU if it doesn't exist, update only if subSKU array is empty
+      const savedSKU = await db.SKU.upsert({
+        where: { shop_sku: { shop, sku } },
+        create: {
+          shop,
           sku: sku,
           subSKU: subSKUs
-        }
-      });
-      console.log(`✅ Created new SKU ${sku} with ${quantity} subSKUs`);
-      return newSKU;
-    } else if (existingSKU?.subSKU?.length === 0) {
-      // Update only if subSKU array is empty
-      const updatedSKU = await db.SKU.update({
-        where: { sku },
-        data: {
+        },
+        update: {
           subSKU: subSKUs
         }
       });
-      console.log(`✅ Updated SKU ${sku} with ${quantity} subSKUs`);
-      return updatedSKU;
-    }
-
-    // If SKU exists and has subSKUs, return existing
-    console.log(`ℹ️ SKU ${sku} already exists with ${existingSKU?.subSKU?.length} subSKUs`);
-    return existingSKU;
+      console.log(`✅ ${existingSKU ? "Updated" : "Created new"} SKU ${sku} with ${quantity} subSKUs`);
+      return savedSKU;
+    });
   } catch (error) {
     console.error(`Error creating/updating SKU ${sku}:`, error);
     throw error;
   }
 }
 
+/**
+ * Write an "Inventory Updates" row per subSKU created from Shopify's stock
+ * @param {object} session - Shopify session
+ * @param {Object} variant - The inventory item's variant, with its product
+ * @param {Array<string>} subSkuNames - The new subSKUs
+ * @param {string} reason - Input Reason, "Product Creation" for a SKU's first units
+ */
+async function writeCreatedSubSKURows(session, variant, subSkuNames, reason) {
+  if (subSkuNames.length === 0) return;
+
+  const weightInGrams = await getVariantWeightInGrams(session, variant.id);
+  const date = new Date();
+  const timeParisZone = date.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' });
+
+  await ensureSheetHeader("Inventory Updates");
+  await prependSheetRows(
+    "Inventory Updates",
+    subSkuNames.map((subSkuName) => [
+      date.toISOString().split("T")[0], // Date
+      timeParisZone, // Time (Paris Time Zone)
+      variant.product?.title || "", // Item Title
+      variant.sku, // SKU
+      subSkuName, // Sub-SKU
+      variant.title || "", // Variant
+      weightInGrams || "", // Input Weight (in grams)
+      reason, // Input Reason
+      "", // Free Handwritten Note
+      variant.product?.vendor || "", // "Supplier Name"
+      "", // "Supplier Address"
+    ]),
+  );
+}
+
 /**
  * Process inventory level update from webhook with automatic SKU creation
+ * The payload's available quantity is per location, so only that location's subSKU pool is reconciled.
  * @param {object} session - Shopify session client
- * @param {object} payload - Webhook payload containing inventory_item_id and available quantity
+ * @param {object} payload - Webhook payload containing inventory_item_id, location_id and available quantity
  */
 export async function processInventoryLevelUpdate(session, payload) {
   try {
     console.log('🔍 Starting inventory level update:', {
       inventory_item_id: payload.inventory_item_id,
+      location_id: payload.location_id,
       available: payload.available
     });
 
     const { inventory_item_id, available: shopifyQuantity } = payload;
+    const locationId = toLocationId(payload.location_id);
+
+    // Adjustments we pushed to Shopify ourselves come back as this webhook, the pool already matches
+    if (await isInventoryEcho(session.shop, inventory_item_id, locationId, shopifyQuantity)) {
+      console.log('⏭️ Skipping echo of our own inventory adjustment:', {
+        inventory_item_id,
+        locationId,
+        available: shopifyQuantity
+      });
+      return {
+        success: true,
+        data: {
+          skipped: true,
+          reason: "Echo of our own inventory adjustment",
+        },
+      };
+    }
 
     // Get SKU using inventory_item_id
     console.log('🔄 Fetching inventory item details...');
@@ -567,9 +1254,12 @@ export async function processInventoryLevelUpdate(session, payload) {
           id
           sku
           variant {
+            id
             sku
+            title
             product {
               title
+              vendor
             }
           }
         }
@@ -599,17 +1289,30 @@ export async function processInventoryLevelUpdate(session, payload) {
 
     // Try to get existing SKU data
     console.log('🔄 Checking existing SKU data...');
-    let [skuData] = await getAvailableSKUs(sku);
+    let [skuData] = await getAvailableSKUs(session.shop, sku, { locationId });
 
     // If SKU doesn't exist, create it
     if (!skuData) {
       console.log('➕ Creating new SKU:', {
         sku,
         productTitle,
+        locationId,
         initialQuantity: shopifyQuantity
       });
-      await createNewSKU(sku, shopifyQuantity);
-      [skuData] = await getAvailableSKUs(sku);
+      const createdSKU = await createNewSKU(session.shop, sku, shopifyQuantity, { locationId });
+      // Another location's webhook may have created the SKU first, its units are not ours to record
+      const createdNames = (createdSKU.subSKU || [])
+        .filter((subSku) => isAtLocation(subSku, locationId))
+        .map((subSku) => subSku.name);
+      await recordSubSKUEvents(
+        session.shop,
+        sku,
+        createdNames,
+        LEDGER_EVENTS.CREATED,
+        { webhookType: "inventory_update", locationId },
+      );
+      await writeCreatedSubSKURows(session, data.data.inventoryItem.variant, createdNames, "Product Creation");
+      [skuData] = await getAvailableSKUs(session.shop, sku, { locationId });
       console.log('✅ New SKU created:', {
         sku,
         totalQuantity: skuData.totalQuantity,
@@ -617,62 +1320,78 @@ export async function processInventoryLevelUpdate(session, payload) {
       });
     }
 
-    const ourQuantity = skuData.availableQuantity;
+    // Returns awaiting inspection are still on hand in Shopify, units owed to held line items are already committed there
+    const heldQuantities = await getHeldQuantities(session.shop, { sku });
+    const heldQuantity = heldQuantities.get(`${sku}\u0000${locationId || ""}`) || 0;
+    const ourQuantity = skuData.stockQuantity - heldQuantity;
 
     console.log('📊 Quantity comparison:', {
       sku,
+      locationId,
       ourQuantity,
+      heldQuantity,
       shopifyQuantity,
       difference: ourQuantity - shopifyQuantity
     });
 
     // Compare quantities and take action
     if (ourQuantity < shopifyQuantity) {
-      // Need to add more subSKUs
-      const toAdd = shopifyQuantity - ourQuantity;
+      // Need to add more subSKUs, starting with the ones not tied to a location yet
+      const adopted = locationId
+        ? await adoptUnlocatedSubSKUs(session.shop, sku, shopifyQuantity - ourQuantity, locationId)
+        : [];
+      const toAdd = shopifyQuantity - ourQuantity - adopted.length;
       
       console.log('➕ Adding new subSKUs:', {
         sku,
+        locationId,
+        adopted,
         toAdd,
         currentQuantity: ourQuantity,
         targetQuantity: shopifyQuantity
       });
       
-      // Generate new subSKUs starting from the next number
-      // Get ALL subSKUs from database (any status) to find the last number
-      const fullSkuData = await db.SKU.findUnique({
-        where: { sku }
-      });
-      
-      let lastNumber = 0;
-      
-      if (fullSkuData && fullSkuData.subSKU && fullSkuData.subSKU.length > 0) {
-        // Get the last subSKU number from ALL subSKUs (any status)
-        const lastSubSKU = fullSkuData.subSKU[fullSkuData.subSKU.length - 1];
-        const lastNumberStr = lastSubSKU?.name?.split("-").pop() || "0";
-        lastNumber = parseInt(lastNumberStr);
-      }
-      
-      console.log("Data>>>>", {lastNumber, skuData, sku});
-      
-      const newSubSKUs = Array.from({ length: toAdd }, (_, i) => ({
-        name: `${sku}-${String(lastNumber + i + 1).padStart(4, "0")}`,
-        status: "available",
-      }));
+      // Generate new subSKUs with the next numbers of the SKU's counter
+      const newSubSKUs = toAdd <= 0 ? [] : await withSKULock(session.shop, sku, async () => {
+        const subSKUsToPush = (await issueSubSKUNames(session.shop, sku, toAdd)).map((name) => ({
+          name,
+          status: "available",
+          receivedAt: new Date().toISOString(),
+          ...(locationId && { locationId }),
+        }));
 
-      // Update SKU with additional subSKUs
-      await db.SKU.update({
-        where: { sku },
-        data: {
-          subSKU: {
-            push: newSubSKUs,
+        // Update SKU with additional subSKUs
+        await db.SKU.update({
+          where: { shop_sku: { shop: session.shop, sku } },
+          data: {
+            subSKU: {
+              push: subSKUsToPush,
+            },
           },
-        },
+        });
+
+        return subSKUsToPush;
       });
 
+      await recordSubSKUEvents(
+        session.shop,
+        sku,
+        newSubSKUs.map((s) => s.name),
+        LEDGER_EVENTS.CREATED,
+        { webhookType: "inventory_update", locationId },
+      );
+      await writeCreatedSubSKURows(
+        session,
+        data.data.inventoryItem.variant,
+        newSubSKUs.map((s) => s.name),
+        "Inventory Update",
+      );
+
       console.log('✅ Added new subSKUs:', {
         sku,
-        added: toAdd,
+        locationId,
+        adopted: adopted.length,
+        added: newSubSKUs.length,
         newSubSKUs: newSubSKUs.map(s => s.name)
       });
 
@@ -680,8 +1399,10 @@ export async function processInventoryLevelUpdate(session, payload) {
         success: true,
         data: {
           sku,
+          locationId,
           action: "added",
-          quantity: toAdd,
+          quantity: shopifyQuantity - ourQuantity,
+          adopted: adopted.length,
           ourQuantity,
           shopifyQuantity,
         },
@@ -692,20 +1413,28 @@ export async function processInventoryLevelUpdate(session, payload) {
       
       console.log('➖ Removing available subSKUs:', {
         sku,
+        locationId,
         toRemove,
         currentQuantity: ourQuantity,
         targetQuantity: shopifyQuantity
       });
 
       // Get current available subSKUs to see how many we can actually remove
-      const [skuData] = await getAvailableSKUs(sku);
+      const [skuData] = await getAvailableSKUs(session.shop, sku, { locationId });
       const availableCount = skuData ? skuData.availableQuantity : 0;
       
-      // Only remove what's actually available
-      const actualRemove = Math.min(toRemove, availableCount);
+      // Only remove what's actually available and not owed to held line items
+      const actualRemove = Math.min(toRemove, availableCount - heldQuantity);
       
       if (actualRemove > 0) {
-        await removeSubSKUsByQuantity(sku, actualRemove);        
+        const removedSubSKUs = await removeSubSKUsByQuantity(session.shop, sku, actualRemove, { locationId });
+        await recordSubSKUEvents(
+          session.shop,
+          sku,
+          removedSubSKUs,
+          LEDGER_EVENTS.REMOVED,
+          { webhookType: "inventory_update", locationId },
+        );
         console.log('✅ Removed available subSKUs:', {
           sku,
           requested: toRemove,
@@ -724,6 +1453,7 @@ export async function processInventoryLevelUpdate(session, payload) {
         success: true,
         data: {
           sku,
+          locationId,
           action: "removed",
           quantity: toRemove,
           ourQuantity,
@@ -742,6 +1472,7 @@ export async function processInventoryLevelUpdate(session, payload) {
       success: true,
       data: {
         sku,
+        locationId,
         action: "none",
         ourQuantity,
         shopifyQuantity,
@@ -769,14 +1500,6 @@ export async function processProductCreate(session, payload) {
   try {
     const variants = payload.variants || [];
     const results = [];
-    const sheetData = [];
-
-    // First ensure sheet has proper headers
-    await ensureSheetHasHeader();
-
-    // Use product date for time display in rows
-    const productDate = new Date(payload.updated_at || payload.created_at);
-    const timeParisZone = productDate.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' });
 
     // Prepare variants with weight data for database storage
     const variantsWithWeight = [];
@@ -827,60 +1550,16 @@ export async function processProductCreate(session, payload) {
         weight_in_gram: weightInGrams || 0
       });
 
-      // NEW APPROACH: Generate subSKUs based on inventory quantity without using SKU model
+      // The subSKUs and their "Product Creation" rows are created by the inventory_levels/update
+      // webhook of each location, so the sheet only lists units that exist in the pool
       const quantity = variant.inventory_quantity || 0;
-      const subSKUNames = [];
-      
-      // Generate subSKU names starting from 1
-      for (let i = 1; i <= quantity; i++) {
-        const subSKUNumber = String(i).padStart(4, "0");
-        subSKUNames.push(`${sku}-${subSKUNumber}`);
-      }
-
-      // Calculate the latest subSKU number for database storage
-      const latestSubSkuNumber = quantity > 0 ? quantity : 0;
 
       results.push({
         sku,
         success: true,
         quantity: quantity,
-        availableQuantity: quantity,
-        latestSubSkuNumber: latestSubSkuNumber
-      });
-
-      // Add each subSKU as a separate row in the sheet
-      subSKUNames.forEach((subSkuName) => {
-        sheetData.push([
-          productDate.toISOString().split("T")[0], // Date
-          timeParisZone, // Time (Paris Time Zone)
-          payload.title, // Item Title
-          sku, // SKU
-          subSkuName, // Sub-SKU
-          variant.title || "", // Variant
-          weightInGrams || "", // Input Weight (in grams)
-          "Product Creation", // Input Reason
-          "", // Free Handwritten Note
-          payload.vendor, // "Supplier Name"
-          "", // "Supplier Address"
-        ]);
+        availableQuantity: quantity
       });
-
-      // Update the variant to include latestSubSkuNumber for database storage
-      const variantWithLatestNumber = variantsWithWeight.find(v => v.sku === sku);
-      if (variantWithLatestNumber) {
-        variantWithLatestNumber.latestSubSkuNumber = latestSubSkuNumber;
-      }
-    }
-
-    // Update Google Sheet with all the data
-    console.log(sheetData.length, "sheetData length");
-    if (sheetData.length > 0) {
-      console.log(`Adding ${sheetData.length} rows to Google Sheet for product ${payload.title}`);
-      
-      // Use the new prepend function
-      await prependDataToSheet("Inventory Updates", sheetData, 3);
-
-      console.log(`✅ Successfully prepended ${sheetData.length} rows to Google Sheet`);
     }
 
     // Save product data to database
@@ -888,13 +1567,12 @@ export async function processProductCreate(session, payload) {
       ...payload,
       variants: variantsWithWeight
     };
-    await saveProductToDatabase(payloadWithWeight);
+    await saveProductToDatabase(session.shop, payloadWithWeight);
 
     return {
       success: true,
       data: {
         results,
-        sheetRowsAdded: sheetData.length,
       },
     };
   } catch (error) {
@@ -968,28 +1646,7 @@ async function createOrderSubSKUMetafields(session, orderId, subSKUAssignments)
  */
 export async function processWebhookPayloadWithSKUs(session, payload) {
   try {
-    // Check if this order has already been processed by looking up in the sheet
-    const orderId = payload.id;
-    const sheetData = await getSheet("Orders");
-    
-    // Get all values from the sheet and skip header row
-    const values = (sheetData.values || []).slice(1);
-    const orderIdColumnIndex = 1; // Order ID is the second column in orders sheet
-    
-    // Check if order already exists in sheet by checking the Order ID column
-    const orderExists = values.some(row => row[orderIdColumnIndex] === orderId.toString());
-    
-    if (orderExists) {
-      console.log(`⚠️ Order ${orderId} has already been processed, skipping...`);
-      return {
-        success: true,
-        data: {
-          skipped: true,
-          reason: 'Order already processed'
-        }
-      };
-    }
-
+    // Redeliveries are filtered out by webhook ID in processWebhook before we get here
     // First process the order creation normally
     const orderResult = await processOrderCreation(session, payload);
 
@@ -1012,61 +1669,13 @@ export async function processWebhookPayloadWithSKUs(session, payload) {
       subSKUAssignments,
     );
 
-    // Get variant metafields for weight
+    // Get variant weights in grams
     const lineItemsWithWeight = await Promise.all(payload.line_items.map(async (item) => {
       if (!item.variant_id) return item;
 
-      // Get variant details including weight from REST API
-      const variantResponse = await fetch(
-        `https://${session.shop}/admin/api/2025-01/variants/${item.variant_id}.json?fields=weight_unit,weight`,
-        {
-          headers: {
-            'X-Shopify-Access-Token': session.accessToken,
-          },
-        }
-      );
-
-      const variantData = await variantResponse.json();
-      const variant = variantData.variant;
-      console.log('variant', variant);
-      // const query = `
-      //   query getVariantMetafield($id: ID!) {
-      //     productVariant(id: $id) {
-      //       id
-      //       metafield(namespace: "custom", key: "weight_in_gram") {
-      //         value
-      //       }
-      //     }
-      //   }
-      // `;
-
-      // const response = await makeShopifyGraphQLRequest(session, query, {
-      //   id: `gid://shopify/ProductVariant/${item.variant_id}`
-      // });
-
-      // const weight = response.data?.productVariant?.metafield?.value;
-      // Convert weight to grams based on weight unit
-      let weightInGrams = null;
-      if (variant?.weight && variant?.weight_unit) {
-        switch (variant.weight_unit.toLowerCase()) {
-          case 'kg':
-            weightInGrams = variant.weight * 1000;
-            break;
-          case 'g':
-            weightInGrams = variant.weight;
-            break;
-          case 'lb':
-            weightInGrams = variant.weight * 453.592;
-            break;
-          case 'oz':
-            weightInGrams = variant.weight * 28.3495;
-            break;
-        }
-      }
-      
       return {
         ...item,
-        weight_in_gram: weightInGrams || null,
+        weight_in_gram: await getVariantWeightInGrams(session, item.variant_id),
       };
     }));
 
@@ -1075,8 +1684,14 @@ export async function processWebhookPayloadWithSKUs(session, payload) {
     // Use the existing processWebhookPayload function with subSKU assignments
     const processedOrders = processWebhookPayload(payload, subSKUAssignments);
 
+    // Units with a measured weight use their own instead of the variant's
+    const subSkuWeights = {};
+    for (const result of orderResult.data.filter((result) => result.success)) {
+      Object.assign(subSkuWeights, await getSubSKUWeights(session.shop, result.sku, result.markedUnavailable));
+    }
+
     console.log('payload line items updated with weight>>>>', payload.line_items);
-    await insertOrdersGroupedByDate("Orders", processedOrders);
+    await writeOrderMovements(getPlacedOrderMovements(processedOrders, subSkuWeights));
 
     return {
       success: true,
@@ -1106,9 +1721,15 @@ export async function processOrderCreation(session, payload) {
       lineItems: payload.line_items.length
     });
 
+    // Sub-SKUs are taken from the location fulfilling each line item
+    const lineItemLocations = await getOrderLineItemLocations(session, payload.id);
+    // Under the strict policy a shortfall holds the line item instead of minting sold units
+    const mintShortfall = (await getOversellPolicy(session.shop)) === OVERSELL_POLICIES.MINT;
+
     const processPromises = payload.line_items.map(async (item) => {
       const sku = item.sku;
       const quantity = item.quantity;
+      const locationId = lineItemLocations[item.id] || toLocationId(payload.location_id);
 
       console.log('📦 Processing line item:', {
         sku,
@@ -1137,6 +1758,18 @@ export async function processOrderCreation(session, payload) {
                     sku
                     inventoryQuantity
                   }
+                  inventoryLevels(first: 10) {
+                    edges {
+                      node {
+                        location {
+                          id
+                        }
+                        quantities(names: ["available"]) {
+                          quantity
+                        }
+                      }
+                    }
+                  }
                 }
               }
             }
@@ -1144,7 +1777,7 @@ export async function processOrderCreation(session, payload) {
         `,
           { sku: `sku:${sku}` },
         ),
-        getAvailableSKUs(sku),
+        getAvailableSKUs(session.shop, sku),
       ]);
 
       console.log('📥 Received data:', {
@@ -1162,6 +1795,17 @@ export async function processOrderCreation(session, payload) {
 
         console.log('inventoryItem', inventoryItem, "edges", shopifyData.data.inventoryItems.edges, "shopifyQuantity", shopifyQuantity);
 
+      // With the fulfilling location's level, the top-up below compares and fills that location's pool only
+      const locationLevel = locationId
+        ? inventoryItem?.inventoryLevels?.edges.find(
+            (edge) => toLocationId(edge.node.location.id) === String(locationId),
+          )?.node
+        : null;
+      const topUpLocationId = locationLevel ? locationId : null;
+      const topUpQuantity = locationLevel
+        ? locationLevel.quantities[0]?.quantity ?? 0
+        : shopifyQuantity;
+
       if (!ourData?.[0]) {
         console.error('❌ SKU not found in database:', {
           sku,
@@ -1175,97 +1819,111 @@ export async function processOrderCreation(session, payload) {
         };
       }
 
-      // Get the first N available subSKUs (they are already sorted)
-      const availableSubSKUs = ourData[0].availableSubSkus.slice(0, quantity);
-
-      // Check if we have enough available subSKUs
-      if (availableSubSKUs.length < quantity) {
-        const toAdd = quantity - availableSubSKUs.length;
-        
-        console.log('➕ Not enough subSKUs available, adding more:', {
+      // Made-to-measure items are allocated by the size the customer picked
+      const size = getPropertyValue(item.properties, "__selected_size") || null;
+      // Reserve N available subSKUs under the SKU lock in allocation strategy order, minting any shortfall unless strict
+      const reservation = await reserveSubSKUs(session.shop, sku, quantity, {
+        mintShortfall,
+        locationId,
+        targetWeight: item.grams || null,
+        size,
+      });
+      const { reserved, minted } = reservation;
+      const held = reservation.held || reserved.length < quantity;
+      const holdReason = reservation.holdReason || HOLD_REASONS.OUT_OF_STOCK;
+
+      if (held) {
+        await holdLineItem(session, {
+          orderId: payload.id,
+          orderName: payload.name,
+          lineItemId: item.id,
           sku,
-          available: availableSubSKUs.length,
-          needed: quantity,
-          toAdd
-        });
-
-        // Get the last number used in subSKUs
-        let lastNumber = 0;
-        if (ourData[0].availableSubSkus.length > 0) {
-          const lastSubSKU = ourData[0].availableSubSkus[ourData[0].availableSubSkus.length - 1];
-          const lastNumberStr = lastSubSKU?.name?.split("-").pop() || "0";
-          lastNumber = parseInt(lastNumberStr);
-        }
-
-        // Generate new subSKUs
-        const newSubSKUs = Array.from({ length: toAdd }, (_, i) => ({
-          name: `${sku}-${String(lastNumber + i + 1).padStart(4, "0")}`,
-          status: "available",
-        }));
-
-        // Add the new subSKUs
-        await db.SKU.update({
-          where: { sku },
-          data: {
-            subSKU: {
-              push: newSubSKUs,
-            },
-          },
+          quantity,
+          locationId,
+          size,
+          reason: holdReason,
+          webhookType: "order_create",
         });
+        return {
+          sku,
+          lineItemId: item.id,
+          success: true,
+          held: true,
+          holdReason,
+          quantity,
+          markedUnavailable: [],
+          addedNew: 0,
+        };
+      }
 
-        // Get updated data and slice needed quantity
-        const [updatedData] = await getAvailableSKUs(sku);
-        const updatedAvailableSubSKUs = updatedData.availableSubSkus.slice(0, quantity);
-        availableSubSKUs.push(...updatedAvailableSubSKUs.slice(availableSubSKUs.length));
-
+      if (minted.length > 0) {
         console.log('✅ Added new subSKUs when quantity is more than available: ', {
           sku,
-          added: newSubSKUs.map(s => s.name),
-          totalAvailableNow: availableSubSKUs.length
+          added: minted,
+          needed: quantity
         });
+
+        await recordSubSKUEvents(
+          session.shop,
+          sku,
+          minted,
+          LEDGER_EVENTS.CREATED,
+          { orderId: payload.id, lineItemId: item.id, webhookType: "order_create" },
+        );
       }
 
-      console.log('🔄 Marking subSKUs as unavailable:', {
+      console.log('🔄 Marked subSKUs as unavailable:', {
         sku,
         quantity,
-        subSKUs: availableSubSKUs.map(s => s.name)
+        locationId,
+        subSKUs: reserved
       });
 
-      // Update all subSKUs in a single operation
-      await updateSubSKUStatus(
+      await recordSubSKUEvents(
+        session.shop,
         sku,
-        availableSubSKUs.map(s => s.name),
-        "unavailable"
+        reserved,
+        LEDGER_EVENTS.ASSIGNED,
+        { orderId: payload.id, lineItemId: item.id, webhookType: "order_create" },
       );
 
-      const [updatedOurData] = await getAvailableSKUs(sku);
-      const ourNewQuantity = updatedOurData.availableQuantity;
+      const [updatedOurData] = await getAvailableSKUs(session.shop, sku, { locationId: topUpLocationId });
+      const ourNewQuantity = updatedOurData.stockQuantity;
       console.log('updatedOurData after marking unavailable', updatedOurData);
       
       console.log('📊 Quantity comparison after marking unavailable:', {
         sku,
+        locationId: topUpLocationId,
         ourNewQuantity,
-        shopifyQuantity,
-        difference: ourNewQuantity - shopifyQuantity
+        shopifyQuantity: topUpQuantity,
+        difference: ourNewQuantity - topUpQuantity
       });
 
-      if (ourNewQuantity < shopifyQuantity) {
-        const toAdd = shopifyQuantity - ourNewQuantity;
+      if (ourNewQuantity < topUpQuantity) {
+        const toAdd = topUpQuantity - ourNewQuantity;
         console.log('➕ Adding new subSKUs to match Shopify:', {
           sku,
           toAdd,
+          locationId: topUpLocationId,
           ourQuantity: ourNewQuantity,
-          shopifyQuantity
+          shopifyQuantity: topUpQuantity
         });
-        await addSubSKUsToBase(sku, toAdd);
+        const addedSubSKUs = await addSubSKUsToBase(session.shop, sku, toAdd, { locationId: topUpLocationId });
+        await recordSubSKUEvents(
+          session.shop,
+          sku,
+          addedSubSKUs,
+          LEDGER_EVENTS.CREATED,
+          { webhookType: "order_create", locationId: topUpLocationId },
+        );
       }
 
       console.log('✅ Line item processed successfully:', {
         sku,
         lineItemId: item.id,
         quantity,
-        markedUnavailable: availableSubSKUs.map(s => s.name),
-        addedNew: ourNewQuantity < shopifyQuantity ? shopifyQuantity - ourNewQuantity : 0
+        markedUnavailable: reserved,
+        addedNew: ourNewQuantity < topUpQuantity ? topUpQuantity - ourNewQuantity : 0
       });
 
       return {
@@ -1273,10 +1931,10 @@ export async function processOrderCreation(session, payload) {
         lineItemId: item.id,
         success: true,
         quantity,
-        markedUnavailable: availableSubSKUs.map((sub) => sub.name),
+        markedUnavailable: reserved,
         addedNew:
-          ourNewQuantity < shopifyQuantity
-            ? shopifyQuantity - ourNewQuantity
+          ourNewQuantity < topUpQuantity
+            ? topUpQuantity - ourNewQuantity
             : 0,
       };
     });
@@ -1311,34 +1969,46 @@ export async function processOrderCreation(session, payload) {
 
 /**
  * Update multiple subSKU statuses in parallel
+ * @param {string} shop - Shop domain the SKU belongs to
  * @param {string} baseSku - The base SKU
  * @param {Array<{name: string, status: string}>} updates - Array of updates
  * @returns {Promise<boolean>}
+ * @throws {Error} - If any subSKU may not move to its new status
  */
-export async function updateMultipleSubSKUStatus(baseSku, updates) {
+export async function updateMultipleSubSKUStatus(shop, baseSku, updates) {
   try {
-    const sku = await db.SKU.findUnique({
-      where: { sku: baseSku },
-    });
+    return await withSKULock(shop, baseSku, async () => {
+      const sku = await db.SKU.findUnique({
+        where: { shop_sku: { shop, sku: baseSku } },
+      });
 
-    if (!sku) {
-      throw new Error(`SKU ${baseSku} not found`);
-    }
+      if (!sku) {
+        throw new Error(`SKU ${baseSku} not found`);
+      }
 
-    const updatedSubSKUs = sku.subSKU.map((subSku) => {
-      const update = updates.find((u) => u.name === subSku.name);
-      if (update) {
-        return { ...subSku, status: update.status };
+      // Reject the whole update if any subSKU may not move to its new status
+      for (const update of updates) {
+        assertTransitions(
+          sku.subSKU.filter((subSku) => subSku.name === update.name),
+          update.status,
+        );
       }
-      return subSku;
-    });
 
-    await db.SKU.update({
-      where: { sku: baseSku },
-      data: { subSKU: updatedSubSKUs },
-    });
+      const updatedSubSKUs = sku.subSKU.map((subSku) => {
+        const update = updates.find((u) => u.name === subSku.name);
+        if (update) {
+          return { ...subSku, status: update.status };
+        }
+        return subSku;
+      });
 
-    return true;
+      await db.SKU.update({
+        where: { shop_sku: { shop, sku: baseSku } },
+        data: { subSKU: updatedSubSKUs },
+      });
+
+      return true;
+    });
   } catch (error) {
     console.error(
       `Error updating multiple subSKU statuses for ${baseSku}:`,
@@ -1350,16 +2020,17 @@ export async function updateMultipleSubSKUStatus(baseSku, updates) {
 
 /**
  * Get available quantities for multiple SKUs in parallel
+ * @param {string} shop - Shop domain the SKUs belong to
  * @param {Array<string>} skus - Array of SKUs to check
  * @returns {Promise<Array>}
  */
-export async function getMultipleAvailableSKUs(skus) {
+export async function getMultipleAvailableSKUs(shop, skus) {
   try {
     const uniqueSkus = [...new Set(skus)]; // Remove duplicates
     const results = await Promise.all(
       uniqueSkus.map(async (sku) => {
         try {
-          const [skuData] = await getAvailableSKUs(sku);
+          const [skuData] = await getAvailableSKUs(shop, sku);
           return {
             sku,
             success: true,
@@ -1452,6 +2123,9 @@ export async function processOrderCancellation(session, payload, type = "cancell
       throw new Error(`Order ${payload.id} not found`);
     }
 
+    // Held line items of a cancelled order will never be assigned
+    await releaseHeldLineItems(session, payload.id);
+
     // Get the assigned subSKUs from metafields
     const assignedSubSKUsMetafield = order.metafields.edges.find(
       edge => edge.node.key === 'assigned_subskus'
@@ -1471,6 +2145,16 @@ export async function processOrderCancellation(session, payload, type = "cancell
     const assignedSubSKUs = JSON.parse(assignedSubSKUsMetafield.node.value);
     const updatedAssignedSubSKUs = { ...assignedSubSKUs };
 
+    // Sub-SKUs staff picked on the Returns page before cancelling, if any
+    const cancelSelection = await claimRefundSelection(
+      session.shop,
+      payload.id,
+      {},
+      payload.line_items
+        .filter((item) => item.sku && assignedSubSKUs[item.id]?.length > 0)
+        .map((item) => item.id),
+    );
+
     const processPromises = payload.line_items.map(async (item) => {
       const sku = item.sku;
       const quantity = item.quantity;
@@ -1527,11 +2211,15 @@ export async function processOrderCancellation(session, payload, type = "cancell
         return null;
       }
 
-      // Get the subSKUs to mark as available (last N subSKUs)
-      const subSKUsToMarkAvailable = lineItemSubSKUs.slice(-quantity);
-      
+      // Get the subSKUs to mark as available (the ones staff selected, otherwise the last N subSKUs)
+      const { released: subSKUsToMarkAvailable, remaining: remainingSubSKUs } = pickSubSKUsToRelease(
+        lineItemSubSKUs,
+        quantity,
+        cancelSelection?.[lineItemId] || []
+      );
+
       // Update the assigned subSKUs in our local copy
-      updatedAssignedSubSKUs[lineItemId] = lineItemSubSKUs.slice(0, -quantity);
+      updatedAssignedSubSKUs[lineItemId] = remainingSubSKUs;
 
       console.log('🔄 Marking subSKUs as available:', {
         sku,
@@ -1539,16 +2227,25 @@ export async function processOrderCancellation(session, payload, type = "cancell
         subSKUs: subSKUsToMarkAvailable
       });
 
-      // Update the subSKUs status
-      await updateSubSKUStatus(
+      // Reserved and sold units are back on the shelf, units cancelled after they shipped wait for inspection
+      await releaseSubSKUs(
+        session.shop,
         sku,
         subSKUsToMarkAvailable,
-        "available"
+        SUB_SKU_STATUSES.AVAILABLE
+      );
+
+      await recordSubSKUEvents(
+        session.shop,
+        sku,
+        subSKUsToMarkAvailable,
+        LEDGER_EVENTS.RELEASED,
+        { orderId: payload.id, lineItemId, webhookType: `order_${type}` },
       );
 
       // Get updated quantities
-      const [updatedSkuData] = await getAvailableSKUs(sku);
-      const ourNewQuantity = updatedSkuData.availableQuantity;
+      const [updatedSkuData] = await getAvailableSKUs(session.shop, sku);
+      const ourNewQuantity = updatedSkuData.stockQuantity;
 
       // Get Shopify quantity
       const shopifyData = await makeShopifyGraphQLRequest(
@@ -1592,7 +2289,14 @@ export async function processOrderCancellation(session, payload, type = "cancell
           ourQuantity: ourNewQuantity,
           shopifyQuantity
         });
-        await removeSubSKUsByQuantity(sku, toRemove);
+        const removedSubSKUs = await removeSubSKUsByQuantity(session.shop, sku, toRemove);
+        await recordSubSKUEvents(
+          session.shop,
+          sku,
+          removedSubSKUs,
+          LEDGER_EVENTS.REMOVED,
+          { orderId: payload.id, lineItemId, webhookType: `order_${type}` },
+        );
         
 
       }
@@ -1635,65 +2339,26 @@ export async function processOrderCancellation(session, payload, type = "cancell
       );
       if (!lineItem) continue;
 
-      // Get variant weight
-      let weightInGrams = null;
-      try {
-        const variantResponse = await fetch(
-          `https://${session.shop}/admin/api/2025-01/variants/${lineItem.variant.id.split('/').pop()}.json?fields=weight_unit,weight`,
-          {
-            headers: {
-              'X-Shopify-Access-Token': session.accessToken,
-            },
-          }
-        );
-
-        const variantData = await variantResponse.json();
-        const variant = variantData.variant;
-
-        if (variant?.weight && variant?.weight_unit) {
-          switch (variant.weight_unit.toLowerCase()) {
-            case 'kg':
-              weightInGrams = variant.weight * 1000;
-              break;
-            case 'g':
-              weightInGrams = variant.weight;
-              break;
-            case 'lb':
-              weightInGrams = variant.weight * 453.592;
-              break;
-            case 'oz':
-              weightInGrams = variant.weight * 28.3495;
-              break;
-          }
-        }
-      } catch (error) {
-        console.error(`Error fetching variant weight for ${sku}:`, error);
-      }
+      // Get variant weight, units with a measured weight use their own
+      const weightInGrams = await getVariantWeightInGrams(session, lineItem.variant.id);
+      const subSkuWeights = await getSubSKUWeights(session.shop, sku, markedAvailable);
       // Add to sheet data for each subSKU being returned
       const currentDate = payload.cancelled_at ? new Date(payload.cancelled_at) : new Date();
-      const timeParisZone = currentDate.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' });
       markedAvailable.forEach((subSkuName) => {
-        sheetData.push([
-          currentDate.toISOString().split("T")[0], // Date
-          timeParisZone, // Time (Paris Time Zone)
-          order.name, // Invoice Number
-          lineItem.title, // Item Title
-          sku, // SKU
-          subSkuName, // Sub-SKU
-          lineItem.variantTitle || "", // Variant
-          "", // Selected Size
-          weightInGrams || "", // Output Weight
-          "Order Cancelled", // Output Reason
-          "", // Free Handwritten Note
-          `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(), // Customer Name
-          order.customer?.email || "", // Email
-          order.customer?.phone || "", // Telephone
-          "", // Attachment pdf - jpg
-          "", // Supplier Name
-          "", // Supplier Address
-          "", // ID session staff
-          `Order Cancelled ID: ${payload.id}`, // Note
-        ]);
+        sheetData.push({
+          date: currentDate,
+          invoiceNumber: order.name,
+          itemTitle: lineItem.title,
+          sku,
+          subSku: subSkuName,
+          variant: lineItem.variantTitle || "",
+          weight: subSkuWeights[subSkuName] ?? weightInGrams,
+          reason: ORDER_REASONS.CANCELLED,
+          customerName: `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(),
+          email: order.customer?.email || "",
+          phone: order.customer?.phone || "",
+          note: `Order Cancelled ID: ${payload.id}`,
+        });
       });
     }
 
@@ -1728,53 +2393,8 @@ export async function processOrderCancellation(session, payload, type = "cancell
 
     await makeShopifyGraphQLRequest(session, mutation, metafieldInput);
 
-    // Prepend data to Google Sheet
-    if (sheetData.length > 0) {
-      console.log(`📊 Prepending ${sheetData.length} rows to Orders sheet for order cancelled ${payload.id}`);
-      
-      const authClient = await auth.getClient();
-      const sheets = google.sheets({ version: "v4", auth: authClient });
-      
-      // Use the new prepend function
-      await prependDataToSheet("Orders", sheetData, 3);
-
-      // Apply dark red background color for cancelled orders
-      const formatRequests = [];
-      let currentRow = 3; // Start from row 3 (after header and date row)
-
-      for (const row of sheetData) {
-        formatRequests.push({
-          repeatCell: {
-            range: {
-              sheetId: await getSheetId(sheets, "Orders"),
-              startRowIndex: currentRow - 1,
-              endRowIndex: currentRow,
-              startColumnIndex: 0,
-              endColumnIndex: 19, // All columns
-            },
-            cell: {
-              userEnteredFormat: {
-                backgroundColor: { red: 0.8, green: 0.2, blue: 0.2 }, // Dark red
-                textFormat: { 
-                  foregroundColor: { red: 1, green: 1, blue: 1 } // White text
-                }
-              },
-            },
-            fields: "userEnteredFormat(backgroundColor,textFormat)",
-          },
-        });
-        currentRow++;
-      }
-
-      // Apply formatting
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId: process.env.GOOGLE_SHEET_ID,
-        requestBody: { requests: formatRequests },
-      });
-      console.log(`✅ Applied dark red background colors to ${formatRequests.length} rows`);
-
-      console.log(`✅ Successfully prepended ${sheetData.length} rows to Orders sheet`);
-    }
+    console.log(`📊 Writing ${sheetData.length} rows to Orders sheet for order cancelled ${payload.id}`);
+    await writeOrderMovements(sheetData);
 
     console.log('✅ Order cancellation completed:', {
       orderId: payload.id,
@@ -1877,6 +2497,19 @@ export async function processRefund(session, payload) {
       throw new Error(`Order ${payload.order_id} not found`);
     }
 
+    // Refunded units of held line items were never assigned, they just stop being held
+    const releasedHeld = await releaseHeldLineItems(
+      session,
+      payload.order_id,
+      payload.refund_line_items.reduce(
+        (quantities, refundItem) => ({
+          ...quantities,
+          [refundItem.line_item_id]: (quantities[refundItem.line_item_id] || 0) + refundItem.quantity,
+        }),
+        {},
+      ),
+    );
+
     // Get the assigned subSKUs from metafields
     const assignedSubSKUsMetafield = order.metafields.edges.find(
       edge => edge.node.key === 'assigned_subskus'
@@ -1902,15 +2535,40 @@ export async function processRefund(session, payload) {
     const assignedSubSKUs = JSON.parse(assignedSubSKUsMetafield.node.value);
     const updatedAssignedSubSKUs = { ...assignedSubSKUs };
 
+    // Sub-SKUs staff picked on the Returns page for this refund, if any; only restocked line items release units
+    const restockedLineItemIds = payload.refund_line_items
+      .filter(
+        (refundItem) =>
+          (refundItem.restock_type || "no_restock") !== "no_restock" &&
+          refundItem.quantity > (releasedHeld[refundItem.line_item_id] || 0) &&
+          assignedSubSKUs[refundItem.line_item_id]?.length > 0,
+      )
+      .map((refundItem) => refundItem.line_item_id);
+    const refundSelection = await claimRefundSelection(
+      session.shop,
+      payload.order_id,
+      { refundId: payload.id },
+      restockedLineItemIds,
+    );
+
     console.log('📊 Current assigned subSKUs:', {
       inventoryItemIds: Object.keys(assignedSubSKUs),
-      totalAssignedSubSKUs: Object.values(assignedSubSKUs).reduce((acc, curr) => acc + curr.length, 0)
+      totalAssignedSubSKUs: Object.values(assignedSubSKUs).reduce((acc, curr) => acc + curr.length, 0),
+      hasRefundSelection: !!refundSelection
     });
 
     // Process each refund line item
     const processPromises = payload.refund_line_items.map(async (refundItem) => {
       const lineItemId = refundItem.line_item_id;
-      const quantity = refundItem.quantity;
+      // Units that were still held have no subSKUs to release
+      const quantity = refundItem.quantity - (releasedHeld[lineItemId] || 0);
+      if (quantity <= 0) {
+        console.log('ℹ️ Refunded units were held, no subSKUs to release:', { lineItemId });
+        return null;
+      }
+      // Only "cancel" and "return" put the unit back on the shelf; missing means no restock
+      const restockType = refundItem.restock_type || "no_restock";
+      const locationId = refundItem.location_id || null;
 
       console.log('🔄 Processing refund line item:', {
         lineItemId,
@@ -2012,35 +2670,74 @@ export async function processRefund(session, payload) {
         return null;
       }
 
-      // Get the subSKUs to mark as available (last N subSKUs)
-      const subSKUsToMarkAvailable = lineItemSubSKUs.slice(-quantity);
-      
-      console.log('🔄 Preparing to mark subSKUs as available:', {
+      // Get the subSKUs coming back (the ones staff selected, otherwise the last N subSKUs)
+      const { released: subSKUsToReturn, remaining: remainingSubSKUs } = pickSubSKUsToRelease(
+        lineItemSubSKUs,
+        quantity,
+        refundSelection?.[lineItemId] || []
+      );
+
+      // Money-only refund: the units stay sold and assigned, only the sheet gets a row
+      if (restockType === "no_restock") {
+        console.log('💸 Refund without restock, leaving subSKUs untouched:', {
+          lineItemId,
+          sku,
+          quantity,
+          subSKUs: subSKUsToReturn
+        });
+        return {
+          sku,
+          lineItemId,
+          inventoryItemId,
+          success: true,
+          quantity,
+          restockType,
+          locationId,
+          returned: subSKUsToReturn,
+          removedExcess: 0
+        };
+      }
+
+      console.log('🔄 Preparing to return subSKUs:', {
         inventoryItemId,
         quantity,
-        subSKUsToMarkAvailable,
-        remainingSubSKUs: lineItemSubSKUs.slice(0, -quantity)
+        restockType,
+        locationId,
+        subSKUsToReturn,
+        remainingSubSKUs
       });
 
       // Update the assigned subSKUs in our local copy
-      updatedAssignedSubSKUs[lineItemId] = lineItemSubSKUs.slice(0, -quantity);
+      updatedAssignedSubSKUs[lineItemId] = remainingSubSKUs;
 
-      console.log('🔄 Marking subSKUs as available:', {
+      // A cancelled line that never left the warehouse is sellable straight away, returned units
+      // and units that already shipped (also on a cancel) wait for inspection before they can be sold again.
+      // The units are back on the shelf at the location they were restocked at
+      console.log('🔄 Releasing subSKUs:', {
         sku,
         quantity,
-        subSKUs: subSKUsToMarkAvailable
+        restockType,
+        subSKUs: subSKUsToReturn
       });
+      await releaseSubSKUs(
+        session.shop,
+        sku,
+        subSKUsToReturn,
+        restockType === "cancel" ? SUB_SKU_STATUSES.AVAILABLE : SUB_SKU_STATUSES.RETURNED_PENDING_INSPECTION,
+        { locationId }
+      );
 
-      // Update the subSKUs status
-      await updateSubSKUStatus(
+      await recordSubSKUEvents(
+        session.shop,
         sku,
-        subSKUsToMarkAvailable,
-        "available"
+        subSKUsToReturn,
+        LEDGER_EVENTS.RELEASED,
+        { orderId: payload.order_id, lineItemId, webhookType: "refund_create", locationId },
       );
 
       // Get updated quantities
-      const [updatedSkuData] = await getAvailableSKUs(sku);
-      const ourNewQuantity = updatedSkuData.availableQuantity;
+      const [updatedSkuData] = await getAvailableSKUs(session.shop, sku);
+      const ourNewQuantity = updatedSkuData.stockQuantity;
 
       console.log('📊 Updated SKU data:', {
         sku,
@@ -2075,7 +2772,7 @@ export async function processRefund(session, payload) {
         .filter(edge => edge.node.sku === sku)
         .reduce((total, edge) => total + (edge.node.variant?.inventoryQuantity || 0), 0);
 
-      console.log('📊 Quantity comparison after marking available:', {
+      console.log('📊 Quantity comparison after marking returned:', {
         sku,
         ourNewQuantity,
         shopifyQuantity,
@@ -2091,7 +2788,14 @@ export async function processRefund(session, payload) {
           ourQuantity: ourNewQuantity,
           shopifyQuantity
         });
-        await removeSubSKUsByQuantity(sku, toRemove);
+        const removedSubSKUs = await removeSubSKUsByQuantity(session.shop, sku, toRemove);
+        await recordSubSKUEvents(
+          session.shop,
+          sku,
+          removedSubSKUs,
+          LEDGER_EVENTS.REMOVED,
+          { orderId: payload.order_id, lineItemId, webhookType: "refund_create" },
+        );
         
 
       }
@@ -2102,7 +2806,9 @@ export async function processRefund(session, payload) {
         inventoryItemId,
         success: true,
         quantity,
-        markedAvailable: subSKUsToMarkAvailable,
+        restockType,
+        locationId,
+        returned: subSKUsToReturn,
         removedExcess: ourNewQuantity > shopifyQuantity ? ourNewQuantity - shopifyQuantity : 0
       };
     });
@@ -2164,131 +2870,54 @@ export async function processRefund(session, payload) {
     const sheetData = [];
     for (const result of results) {
       if (!result.success) continue;
-      const { sku, lineItemId, markedAvailable } = result;
+      const { sku, lineItemId, returned, restockType, locationId } = result;
+      const restocked = restockType !== "no_restock";
       
       // Find the line item in the order
       const lineItem = order.lineItems.nodes.find(
         node => {
-          const nodeId = node.id.includes('gid://') 
-            ? node.id.split('/').pop() 
-            : node.id;
-          return nodeId === lineItemId.toString();
-        }
-      );
-      if (!lineItem) continue;
-
-      // Get variant weight
-      let weightInGrams = null;
-      try {
-        const variantResponse = await fetch(
-          `https://${session.shop}/admin/api/2025-01/variants/${lineItem.variant.id.split('/').pop()}.json?fields=weight_unit,weight`,
-          {
-            headers: {
-              'X-Shopify-Access-Token': session.accessToken,
-            },
-          }
-        );
-
-        const variantData = await variantResponse.json();
-        const variant = variantData.variant;
-
-        if (variant?.weight && variant?.weight_unit) {
-          switch (variant.weight_unit.toLowerCase()) {
-            case 'kg':
-              weightInGrams = variant.weight * 1000;
-              break;
-            case 'g':
-              weightInGrams = variant.weight;
-              break;
-            case 'lb':
-              weightInGrams = variant.weight * 453.592;
-              break;
-            case 'oz':
-              weightInGrams = variant.weight * 28.3495;
-              break;
-          }
+          const nodeId = node.id.includes('gid://') 
+            ? node.id.split('/').pop() 
+            : node.id;
+          return nodeId === lineItemId.toString();
         }
-      } catch (error) {
-        console.error(`Error fetching variant weight for ${sku}:`, error);
-      }
+      );
+      if (!lineItem) continue;
 
-      // Add to sheet data for each subSKU being returned
-      const currentDate = payload.created_at ? new Date(payload.created_at) : new Date();
-      const timeParisZone = currentDate.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' });
-      
-      markedAvailable.forEach((subSkuName) => {
-        sheetData.push([
-          currentDate.toISOString().split("T")[0], // Date
-          timeParisZone, // Time (Paris Time Zone)
-          order.name, // Invoice Number
-          lineItem.title, // Item Title
-          sku, // SKU
-          subSkuName, // Sub-SKU
-          lineItem.variantTitle || "", // Variant
-          "", // Selected Size
-          weightInGrams || "", // Output Weight
-          "Order Refunded", // Output Reason
-          "", // Free Handwritten Note
-          `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(), // Customer Name
-          order.customer?.email || "", // Email
-          order.customer?.phone || "", // Telephone
-          "", // Attachment pdf - jpg
-          "", // Supplier Name
-          "", // Supplier Address
-          "", // ID session staff
-          `Refund ID: ${payload.id}`, // Note
-        ]);
-      });
-    }
+      // Get variant weight, only units coming back in change the stock weight
+      const weightInGrams = restocked
+        ? await getVariantWeightInGrams(session, lineItem.variant.id)
+        : null;
+      const subSkuWeights = restocked
+        ? await getSubSKUWeights(session.shop, sku, returned)
+        : {};
 
-    // Prepend data to Google Sheet
-    if (sheetData.length > 0) {
-      console.log(`📊 Prepending ${sheetData.length} rows to Orders sheet for refund ${payload.id}`);
-      
-      const authClient = await auth.getClient();
-      const sheets = google.sheets({ version: "v4", auth: authClient });
+      // Add to sheet data for each subSKU being refunded
+      const currentDate = payload.created_at ? new Date(payload.created_at) : new Date();
       
-      // Use the new prepend function
-      await prependDataToSheet("Orders", sheetData, 3);
-
-      // Apply orange background color for refunded orders
-      const formatRequests = [];
-      let currentRow = 3; // Start from row 3 (after header and date row)
-
-      for (const row of sheetData) {
-        formatRequests.push({
-          repeatCell: {
-            range: {
-              sheetId: await getSheetId(sheets, "Orders"),
-              startRowIndex: currentRow - 1,
-              endRowIndex: currentRow,
-              startColumnIndex: 0,
-              endColumnIndex: 19, // All columns
-            },
-            cell: {
-              userEnteredFormat: {
-                backgroundColor: { red: 1.0, green: 0.6, blue: 0.2 }, // Orange
-                textFormat: { 
-                  foregroundColor: { red: 1, green: 1, blue: 1 } // White text for better contrast with orange background
-                }
-              },
-            },
-            fields: "userEnteredFormat(backgroundColor,textFormat)",
-          },
+      returned.forEach((subSkuName) => {
+        sheetData.push({
+          date: currentDate,
+          invoiceNumber: order.name,
+          itemTitle: lineItem.title,
+          sku,
+          subSku: subSkuName,
+          variant: lineItem.variantTitle || "",
+          weight: subSkuWeights[subSkuName] ?? weightInGrams,
+          reason: restocked ? ORDER_REASONS.REFUNDED : ORDER_REASONS.REFUNDED_NO_RESTOCK,
+          customerName: `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(),
+          email: order.customer?.email || "",
+          phone: order.customer?.phone || "",
+          note: locationId
+            ? `Refund ID: ${payload.id}, Restock: ${restockType}, Location ID: ${locationId}`
+            : `Refund ID: ${payload.id}, Restock: ${restockType}`,
         });
-        currentRow++;
-      }
-
-      // Apply formatting
-      await sheets.spreadsheets.batchUpdate({
-        spreadsheetId: process.env.GOOGLE_SHEET_ID,
-        requestBody: { requests: formatRequests },
       });
-      console.log(`✅ Applied orange background colors to ${formatRequests.length} rows`);
-
-      console.log(`✅ Successfully prepended ${sheetData.length} rows to Orders sheet`);
     }
 
+    console.log(`📊 Writing ${sheetData.length} rows to Orders sheet for refund ${payload.id}`);
+    await writeOrderMovements(sheetData);
+
     console.log('✅ Refund processing completed:', {
       refundId: payload.id,
       orderId: payload.order_id,
@@ -2365,11 +2994,12 @@ export async function getVariantLengthBySKU(session, sku) {
 
 /**
  * Save or update product data in the database
+ * @param {string} shop - Shop domain the product belongs to
  * @param {object} payload - Product webhook payload
  * @param {object} options - Optional parameters for weight data
  * @returns {Promise<Object>} - Returns the saved/updated product object
  */
-export async function saveProductToDatabase(payload, options = {}) {
+export async function saveProductToDatabase(shop, payload, options = {}) {
   try {
     const variants = payload.variants || [];
     const processedVariants = [];
@@ -2384,30 +3014,17 @@ export async function saveProductToDatabase(payload, options = {}) {
         weightInGram = variant.weight_in_gram;
       }
 
-      // Get existing variant data to preserve latestSubSkuNumber
-      const existingProduct = await getProductFromDatabase(payload.id);
+      // Keep the legacy latestSubSkuNumber, it seeds the SKU's subSKU counter when that isn't set yet
+      const existingProduct = await getProductFromDatabase(shop, payload.id);
       const existingVariant = existingProduct ? existingProduct.variants.find(v => v.sku === variant.sku) : null;
-      let latestSubSkuNumber = existingVariant ? existingVariant.latestSubSkuNumber || 0 : 0;
+      const latestSubSkuNumber = existingVariant ? existingVariant.latestSubSkuNumber || 0 : 0;
 
-      // Check if we have updated latestSubSkuNumber from options (for product updates)
       if (options.variantWeights && options.variantWeights[variant.id] && typeof options.variantWeights[variant.id] === 'object') {
-        if (options.variantWeights[variant.id].latestSubSkuNumber !== undefined) {
-          const newLatestSubSkuNumber = options.variantWeights[variant.id].latestSubSkuNumber;
-          // SAFETY CHECK: Never decrease latestSubSkuNumber
-          latestSubSkuNumber = Math.max(latestSubSkuNumber, newLatestSubSkuNumber);
-        }
         if (options.variantWeights[variant.id].weight !== undefined) {
           weightInGram = options.variantWeights[variant.id].weight;
         }
       }
 
-      // Check if the variant already has latestSubSkuNumber from the payload (for product creation)
-      if (variant.latestSubSkuNumber !== undefined) {
-        const payloadLatestSubSkuNumber = variant.latestSubSkuNumber;
-        // SAFETY CHECK: Never decrease latestSubSkuNumber
-        latestSubSkuNumber = Math.max(latestSubSkuNumber, payloadLatestSubSkuNumber);
-      }
-
       processedVariants.push({
         title: variant.title || "",
         weightInGram: weightInGram,
@@ -2419,7 +3036,7 @@ export async function saveProductToDatabase(payload, options = {}) {
 
     // Upsert product data
     const product = await db.Product.upsert({
-      where: { productId: payload.id.toString() },
+      where: { shop_productId: { shop, productId: payload.id.toString() } },
       update: {
         title: payload.title,
         vendor: payload.vendor,
@@ -2427,6 +3044,7 @@ export async function saveProductToDatabase(payload, options = {}) {
         updatedAt: new Date()
       },
       create: {
+        shop,
         productId: payload.id.toString(),
         title: payload.title,
         vendor: payload.vendor,
@@ -2444,13 +3062,14 @@ export async function saveProductToDatabase(payload, options = {}) {
 
 /**
  * Get product data from database
+ * @param {string} shop - Shop domain the product belongs to
  * @param {string} productId - Shopify product ID
  * @returns {Promise<Object|null>} - Returns the product object or null
  */
-export async function getProductFromDatabase(productId) {
+export async function getProductFromDatabase(shop, productId) {
   try {
     const product = await db.Product.findUnique({
-      where: { productId: productId.toString() }
+      where: { shop_productId: { shop, productId: productId.toString() } }
     });
     return product;
   } catch (error) {
@@ -2473,25 +3092,16 @@ export async function processProductUpdate(session, payload) {
 
     const variants = payload.variants || [];
     const results = [];
-    const sheetData = [];
     let variantWeights = {}; // Store weight data for database update
 
     // Get existing product data from database
-    const existingProduct = await getProductFromDatabase(payload.id);
+    const existingProduct = await getProductFromDatabase(session.shop, payload.id);
     
     if (!existingProduct) {
+      // Saved below like a new product, its subSKUs come from the inventory_levels/update webhooks
       console.log('⚠️ Product not found in database, treating as new product');
-      // For new products, we'll handle it here instead of calling processProductCreate
-      // to ensure we only add the new subSKUs, not all of them
     }
 
-    // First ensure sheet has proper headers
-    await ensureSheetHasHeader();
-
-    // Format the date from the payload
-    const productDate = new Date(payload.updated_at || payload.created_at);
-    const timeParisZone = productDate.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' });
-
     for (const variant of payload.variants || []) {
       const sku = variant.sku;
       if (!sku) continue;
@@ -2554,9 +3164,6 @@ export async function processProductUpdate(session, payload) {
         isNewProduct: !existingProduct
       });
 
-      let shouldAddToSheet = false;
-      let reason = "";
-
       // Check for inventory increase
       if (!existingProduct || newQuantity > oldQuantity) {
         const quantityIncrease = existingProduct ? (newQuantity - oldQuantity) : newQuantity;
@@ -2569,97 +3176,13 @@ export async function processProductUpdate(session, payload) {
           isNewProduct: !existingProduct
         });
 
-        // Get the latest subSKU number from the product variant data (NEW APPROACH)
-        const existingVariant = existingProduct ? existingProduct.variants.find(v => v.sku === sku) : null;
-        let startNumber = 1; // Default start number
-
-        if (existingVariant && existingVariant.latestSubSkuNumber) {
-          // Use the latest subSKU number from the product variant and start from the next number
-          startNumber = existingVariant.latestSubSkuNumber + 1;
-          console.log('📊 Using latestSubSkuNumber from product variant:', {
-            sku,
-            latestSubSkuNumber: existingVariant.latestSubSkuNumber,
-            startNumber
-          });
-        } else {
-          // No existing data - this is a new variant
-          console.log('🆕 New variant or no latestSubSkuNumber found, starting from 1:', {
-            sku,
-            startNumber: 1
-          });
-        }
-
-        console.log('📊 Current inventory state:', {
-          sku,
-          startNumber,
-          newQuantity
-        });
-
-        // Generate new subSKU names starting from the last available number
-        const newSubSKUNames = [];
-        for (let i = 0; i < quantityIncrease; i++) {
-          const subSKUNumber = String(startNumber + i).padStart(4, "0");
-          newSubSKUNames.push(`${sku}-${subSKUNumber}`);
-        }
-
-        console.log('🆕 Generated new subSKU names:', {
-          sku,
-          startNumber,
-          newQuantity,
-          newSubSKUNames,
-          count: newSubSKUNames.length
-        });
-
-
-
-        // Calculate the new latest subSKU number
-        const newLatestSubSkuNumber = startNumber + quantityIncrease - 1;
-        
-        // SAFETY CHECK: Ensure latestSubSkuNumber never decreases
-        const currentLatestSubSkuNumber = existingVariant ? existingVariant.latestSubSkuNumber || 0 : 0;
-        const finalLatestSubSkuNumber = Math.max(newLatestSubSkuNumber, currentLatestSubSkuNumber);
-        
-        console.log('🛡️ Safety check for latestSubSkuNumber:', {
-          sku,
-          currentLatestSubSkuNumber,
-          newLatestSubSkuNumber,
-          finalLatestSubSkuNumber,
-          willIncrease: finalLatestSubSkuNumber > currentLatestSubSkuNumber
-        });
-        
-        // Update the variant weights object to include the new latestSubSkuNumber
-        if (!variantWeights[variant.id]) {
-          variantWeights[variant.id] = {};
-        }
-        variantWeights[variant.id].latestSubSkuNumber = finalLatestSubSkuNumber;
-
+        // The new subSKUs and their "Inventory Update" rows are created by the inventory_levels/update
+        // webhook Shopify sends for the same change, so the sheet only lists units that exist in the pool
         results.push({
           sku,
           success: true,
-          quantityIncrease: newQuantity,
-          newSubSKUs: newSubSKUNames,
-          newLatestSubSkuNumber
-        });
-
-        // Add all the new subSKUs to the sheet
-        newSubSKUNames.forEach((subSkuName) => {
-          sheetData.push([
-            productDate.toISOString().split("T")[0], // Date
-            timeParisZone, // Time (Paris Time Zone)
-            payload.title, // Item Title
-            sku, // SKU
-            subSkuName, // Sub-SKU
-            variant.title || "", // Variant
-            weightInGrams || "", // Input Weight (in grams)
-            "Inventory Update", // Input Reason
-            "", // Free Handwritten Note
-            payload.vendor, // "Supplier Name"
-            "", // "Supplier Address"
-          ]);
+          quantityIncrease
         });
-
-        shouldAddToSheet = true;
-        reason = "Inventory Update";
       } else if (newQuantity < oldQuantity) {
         const quantityDecrease = existingProduct ? (oldQuantity - newQuantity) : oldQuantity;
         console.log('➖ Processing inventory decrease:', {
@@ -2673,12 +3196,7 @@ export async function processProductUpdate(session, payload) {
         // Log inventory reduction
         console.log("🔍 Logging inventory reduction with reason:", { sku, quantityDecrease, reason: "Reduced by" });
         await logInventoryReductionWithReason(sku, quantityDecrease, "Reduced by");
-        
-      }
-
-      // Weight update process is currently disabled
-
-      if (!shouldAddToSheet) {
+      } else {
         console.log('ℹ️ No changes detected for SKU:', {
           sku,
           oldQuantity,
@@ -2687,26 +3205,17 @@ export async function processProductUpdate(session, payload) {
           newWeight: weightInGrams
         });
       }
-    }
 
-    // Update Google Sheet with new data only
-    if (sheetData.length > 0) {
-      console.log(`Adding ${sheetData.length} new rows to Google Sheet for product update ${payload.title}`);
-      
-      // Use the new prepend function
-      await prependDataToSheet("Inventory Updates", sheetData, 3);
-
-      console.log(`✅ Successfully prepended ${sheetData.length} new rows to Google Sheet`);
+      // Weight update process is currently disabled
     }
 
     // Update product data in database with weight information
-    await saveProductToDatabase(payload, { variantWeights });
+    await saveProductToDatabase(session.shop, payload, { variantWeights });
 
     return {
       success: true,
       data: {
         results,
-        sheetRowsAdded: sheetData.length,
       },
     };
   } catch (error) {
@@ -2837,6 +3346,35 @@ export async function processOrderEdit(session, payload) {
     const sheetData = [];
     const results = [];
 
+    // Removed units of held line items were never assigned, they just stop being held
+    const releasedHeld = await releaseHeldLineItems(
+      session,
+      payload.order_edit.order_id,
+      Object.fromEntries(payload.order_edit.line_items.removals.map((removal) => [removal.id, removal.delta])),
+    );
+    const removedDelta = (removal) => removal.delta - (releasedHeld[removal.id] || 0);
+
+    // Sub-SKUs staff picked on the Returns page for this edit, if any; only removals of assigned units release them
+    const releasingLineItemIds = payload.order_edit.line_items.removals
+      .filter((removal) => removedDelta(removal) > 0 && (assignedSubSKUs[removal.id]?.length || 0) >= removedDelta(removal))
+      .map((removal) => removal.id);
+    const editSelection = releasingLineItemIds.length > 0
+      ? await claimRefundSelection(
+          session.shop,
+          payload.order_edit.order_id,
+          { orderEditId: payload.order_edit.id },
+          releasingLineItemIds,
+        )
+      : null;
+
+    // Added units are taken from the location fulfilling the line item
+    const lineItemLocations = payload.order_edit.line_items.additions.length > 0
+      ? await getOrderLineItemLocations(session, payload.order_edit.order_id)
+      : {};
+    const oversellPolicy = payload.order_edit.line_items.additions.length > 0
+      ? await getOversellPolicy(session.shop)
+      : OVERSELL_POLICIES.MINT;
+
     // Process additions (new items added to the order)
     for (const addition of payload.order_edit.line_items.additions) {
       const lineItemId = addition.id;
@@ -2868,123 +3406,105 @@ export async function processOrderEdit(session, payload) {
         continue;
       }
 
-      // Check if we have enough available subSKUs
-      const [availableData] = await getAvailableSKUs(sku);
-      const availableQuantity = availableData?.availableQuantity || 0;
+      // Get variant weight, for nearest_weight allocation and the sheet
+      const weightInGrams = await getVariantWeightInGrams(session, lineItem.variant.id);
 
-      if (availableQuantity < delta) {
-        console.log('❌ Insufficient available subSKUs:', {
+      // Reserve all delta subSKUs at once, nothing is reserved if not enough are available
+      const { reserved: subSKUsToAssign, held, holdReason } = await reserveSubSKUs(session.shop, sku, delta, {
+        locationId: lineItemLocations[lineItemId],
+        targetWeight: weightInGrams,
+      });
+
+      if (held) {
+        await holdLineItem(session, {
+          orderId: payload.order_edit.order_id,
+          orderName: order.name,
+          lineItemId,
           sku,
-          required: delta,
-          available: availableQuantity
+          quantity: delta,
+          locationId: lineItemLocations[lineItemId],
+          reason: holdReason,
+          webhookType: "order_edited",
         });
         results.push({
           lineItemId,
           sku,
-          success: false,
-          error: 'Insufficient available subSKUs',
+          success: true,
+          held: true,
           type: 'addition'
         });
         continue;
       }
 
-      // Get the next available subSKUs
-      const subSKUsToAssign = [];
-      for (let i = 0; i < delta; i++) {
-        const nextSubSKU = await getNextAvailableSubSKU(sku);
-        if (nextSubSKU) {
-          subSKUsToAssign.push(nextSubSKU);
-        }
+      if (subSKUsToAssign.length !== delta && oversellPolicy === OVERSELL_POLICIES.STRICT) {
+        await holdLineItem(session, {
+          orderId: payload.order_edit.order_id,
+          orderName: order.name,
+          lineItemId,
+          sku,
+          quantity: delta,
+          locationId: lineItemLocations[lineItemId],
+          reason: HOLD_REASONS.OUT_OF_STOCK,
+          webhookType: "order_edited",
+        });
+        results.push({
+          lineItemId,
+          sku,
+          success: true,
+          held: true,
+          type: 'addition'
+        });
+        continue;
       }
 
       if (subSKUsToAssign.length !== delta) {
-        console.log('❌ Could not get enough subSKUs:', {
+        console.log('❌ Insufficient available subSKUs:', {
           sku,
-          required: delta,
-          got: subSKUsToAssign.length
+          required: delta
         });
         results.push({
           lineItemId,
           sku,
           success: false,
-          error: 'Could not get enough subSKUs',
+          error: 'Insufficient available subSKUs',
           type: 'addition'
         });
         continue;
       }
 
-      // Mark subSKUs as unavailable
-      await updateSubSKUStatus(
+      await recordSubSKUEvents(
+        session.shop,
         sku,
         subSKUsToAssign,
-        "unavailable"
+        LEDGER_EVENTS.ASSIGNED,
+        { orderId: payload.order_edit.order_id, lineItemId, webhookType: "order_edited" },
       );
 
       // Update assigned subSKUs
       const existingAssigned = assignedSubSKUs[lineItemId] || [];
       updatedAssignedSubSKUs[lineItemId] = [...existingAssigned, ...subSKUsToAssign];
 
-      // Get variant weight
-      let weightInGrams = null;
-      try {
-        const variantResponse = await fetch(
-          `https://${session.shop}/admin/api/2025-01/variants/${lineItem.variant.id.split('/').pop()}.json?fields=weight_unit,weight`,
-          {
-            headers: {
-              'X-Shopify-Access-Token': session.accessToken,
-            },
-          }
-        );
-
-        const variantData = await variantResponse.json();
-        const variant = variantData.variant;
-
-        if (variant?.weight && variant?.weight_unit) {
-          switch (variant.weight_unit.toLowerCase()) {
-            case 'kg':
-              weightInGrams = variant.weight * 1000;
-              break;
-            case 'g':
-              weightInGrams = variant.weight;
-              break;
-            case 'lb':
-              weightInGrams = variant.weight * 453.592;
-              break;
-            case 'oz':
-              weightInGrams = variant.weight * 28.3495;
-              break;
-          }
-        }
-      } catch (error) {
-        console.error(`Error fetching variant weight for ${sku}:`, error);
-      }
+      // Units with a measured weight use their own instead of the variant's
+      const subSkuWeights = await getSubSKUWeights(session.shop, sku, subSKUsToAssign);
 
       // Add to sheet data for each subSKU
       const currentDate = payload.committed_at ? new Date(payload.committed_at) : payload.created_at ? new Date(payload.created_at) : new Date();
-      const timeParisZone = currentDate.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' });
 
       subSKUsToAssign.forEach((subSkuName) => {
-        sheetData.push([
-          currentDate.toISOString().split("T")[0], // Date
-          timeParisZone, // Time (Paris Time Zone)
-          order.name, // Invoice Number
-          lineItem.title, // Item Title
-          sku, // SKU
-          subSkuName, // Sub-SKU
-          lineItem.variantTitle || "", // Variant
-          "", // Selected Size
-          "-" + weightInGrams || "", // Output Weight
-          "Order Edit - Addition", // Output Reason
-          "", // Free Handwritten Note
-          `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(), // Customer Name
-          order.customer?.email || "", // Email
-          order.customer?.phone || "", // Telephone
-          "", // Attachment pdf - jpg
-          "", // Supplier Name
-          "", // Supplier Address
-          "", // ID session staff
-          `Order Edit ID: ${payload.order_edit.id}`, // Note
-        ]);
+        sheetData.push({
+          date: currentDate,
+          invoiceNumber: order.name,
+          itemTitle: lineItem.title,
+          sku,
+          subSku: subSkuName,
+          variant: lineItem.variantTitle || "",
+          weight: subSkuWeights[subSkuName] ?? weightInGrams,
+          reason: ORDER_REASONS.EDIT_ADDITION,
+          customerName: `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(),
+          email: order.customer?.email || "",
+          phone: order.customer?.phone || "",
+          note: `Order Edit ID: ${payload.order_edit.id}`,
+        });
       });
 
       results.push({
@@ -3000,7 +3520,12 @@ export async function processOrderEdit(session, payload) {
     // Process removals (items removed from the order)
     for (const removal of payload.order_edit.line_items.removals) {
       const lineItemId = removal.id;
-      const delta = removal.delta;
+      const delta = removedDelta(removal);
+
+      if (delta <= 0) {
+        console.log('ℹ️ Removed units were held, no subSKUs to release:', { lineItemId });
+        continue;
+      }
 
       console.log('➖ Processing removal:', {
         lineItemId,
@@ -3047,18 +3572,22 @@ export async function processOrderEdit(session, payload) {
         continue;
       }
 
-      // Get the subSKUs to mark as available (last N subSKUs)
-      const subSKUsToMarkAvailable = lineItemSubSKUs.slice(-delta);
+      // Get the subSKUs to mark as available (the ones staff selected, otherwise the last N subSKUs)
+      const { released: subSKUsToMarkAvailable, remaining: remainingSubSKUs } = pickSubSKUsToRelease(
+        lineItemSubSKUs,
+        delta,
+        editSelection?.[lineItemId] || []
+      );
       
       console.log('🔄 Preparing to mark subSKUs as available:', {
         inventoryItemId: lineItem.variant.inventoryItem.id,
         delta,
         subSKUsToMarkAvailable,
-        remainingSubSKUs: lineItemSubSKUs.slice(0, -delta)
+        remainingSubSKUs
       });
 
       // Update the assigned subSKUs in our local copy
-      updatedAssignedSubSKUs[lineItemId] = lineItemSubSKUs.slice(0, -delta);
+      updatedAssignedSubSKUs[lineItemId] = remainingSubSKUs;
 
       console.log('🔄 Marking subSKUs as available:', {
         sku,
@@ -3068,14 +3597,23 @@ export async function processOrderEdit(session, payload) {
 
       // Update the subSKUs status
       await updateSubSKUStatus(
+        session.shop,
         sku,
         subSKUsToMarkAvailable,
         "available"
       );
 
+      await recordSubSKUEvents(
+        session.shop,
+        sku,
+        subSKUsToMarkAvailable,
+        LEDGER_EVENTS.RELEASED,
+        { orderId: payload.order_edit.order_id, lineItemId, webhookType: "order_edited" },
+      );
+
       // Get updated quantities
-      const [updatedSkuData] = await getAvailableSKUs(sku);
-      const ourNewQuantity = updatedSkuData.availableQuantity;
+      const [updatedSkuData] = await getAvailableSKUs(session.shop, sku);
+      const ourNewQuantity = updatedSkuData.stockQuantity;
 
       console.log('📊 Updated SKU data:', {
         sku,
@@ -3126,37 +3664,40 @@ export async function processOrderEdit(session, payload) {
           ourQuantity: ourNewQuantity,
           shopifyQuantity
         });
-        await removeSubSKUsByQuantity(sku, toRemove);
+        const removedSubSKUs = await removeSubSKUsByQuantity(session.shop, sku, toRemove);
+        await recordSubSKUEvents(
+          session.shop,
+          sku,
+          removedSubSKUs,
+          LEDGER_EVENTS.REMOVED,
+          { orderId: payload.order_edit.order_id, lineItemId, webhookType: "order_edited" },
+        );
         
 
       }
 
+      // Get variant weight, units with a measured weight use their own
+      const weightInGrams = await getVariantWeightInGrams(session, lineItem.variant.id);
+      const subSkuWeights = await getSubSKUWeights(session.shop, sku, subSKUsToMarkAvailable);
+
       // Add to sheet data for each subSKU being returned
       const currentDate = payload.committed_at ? new Date(payload.committed_at) : payload.created_at ? new Date(payload.created_at) : new Date();
-      const timeParisZone = currentDate.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' });
 
       subSKUsToMarkAvailable.forEach((subSkuName) => {
-        sheetData.push([
-          currentDate.toISOString().split("T")[0], // Date
-          timeParisZone, // Time (Paris Time Zone)
-          order.name, // Invoice Number
-          lineItem.title, // Item Title
-          sku, // SKU
-          subSkuName, // Sub-SKU
-          lineItem.variantTitle || "", // Variant
-          "", // Selected Size
-          weightInGrams || "", // Output Weight
-          "Order Edit - Removal", // Output Reason
-          "", // Free Handwritten Note
-          `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(), // Customer Name
-          order.customer?.email || "", // Email
-          order.customer?.phone || "", // Telephone
-          "", // Attachment pdf - jpg
-          "", // Supplier Name
-          "", // Supplier Address
-          "", // ID session staff
-          `Order Edit ID: ${payload.order_edit.id}`, // Note
-        ]);
+        sheetData.push({
+          date: currentDate,
+          invoiceNumber: order.name,
+          itemTitle: lineItem.title,
+          sku,
+          subSku: subSkuName,
+          variant: lineItem.variantTitle || "",
+          weight: subSkuWeights[subSkuName] ?? weightInGrams,
+          reason: ORDER_REASONS.EDIT_REMOVAL,
+          customerName: `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(),
+          email: order.customer?.email || "",
+          phone: order.customer?.phone || "",
+          note: `Order Edit ID: ${payload.order_edit.id}`,
+        });
       });
 
       results.push({
@@ -3204,167 +3745,233 @@ export async function processOrderEdit(session, payload) {
       await makeShopifyGraphQLRequest(session, mutation, metafieldInput);
     }
 
-    // Append data to Google Sheet
-    if (sheetData.length > 0) {
-      console.log(`📊 Appending ${sheetData.length} rows to Orders sheet for order edit ${payload.order_edit.id}`);
-      
-      const authClient = await auth.getClient();
-      const sheets = google.sheets({ version: "v4", auth: authClient });
+    console.log(`📊 Writing ${sheetData.length} rows to Orders sheet for order edit ${payload.order_edit.id}`);
+    await writeOrderMovements(sheetData);
 
-      // Get the last row index
-      const existingData = await sheets.spreadsheets.values.get({
-        spreadsheetId: process.env.GOOGLE_SHEET_ID,
-        range: "Orders!A:Z",
-      });
-      const existingRows = existingData.data.values || [];
-      const lastRowIndex = existingRows.length;
-
-      // Append the new data
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: process.env.GOOGLE_SHEET_ID,
-        range: `Orders!A${lastRowIndex + 1}`,
-        valueInputOption: "USER_ENTERED",
-        requestBody: {
-          values: sheetData,
-        },
-      });
+    console.log('✅ Order edit completed:', {
+      orderEditId: payload.order_edit.id,
+      orderId: payload.order_edit.order_id,
+      processedItems: results.length,
+      successfulItems: results.filter(r => r.success).length,
+      failedItems: results.filter(r => !r.success).length,
+      sheetRowsAdded: sheetData.length
+    });
+
+    return {
+      success: true,
+      data: {
+        orderEditId: payload.order_edit.id,
+        orderId: payload.order_edit.order_id,
+        results,
+        sheetRowsAdded: sheetData.length
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error processing order edit:', {
+      error: error.message,
+      stack: error.stack,
+      orderEditId: payload.order_edit?.id,
+      orderId: payload.order_edit?.order_id
+    });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-      // Apply background colors based on operation type
-      const formatRequests = [];
-      let currentRow = lastRowIndex + 1;
+/**
+ * Process orders/fulfilled and fulfillments/create webhooks by marking the fulfilled subSKUs as shipped
+ * @param {object} session - Shopify session client
+ * @param {object} payload - Order (orders/fulfilled) or fulfillment (fulfillments/create) webhook payload
+ * @param {string} type - "order_fulfilled" or "fulfillment_create"
+ */
+export async function processOrderFulfillment(session, payload, type) {
+  // orders/fulfilled carries every fulfillment of the order, fulfillments/create a single one
+  const orderId = type === "fulfillment_create" ? payload.order_id : payload.id;
 
-      for (const row of sheetData) {
-        const reason = row[9]; // Output Reason column
-        let backgroundColor = null;
+  try {
+    const fulfillments = (type === "fulfillment_create" ? [payload] : payload.fulfillments || [])
+      .filter(fulfillment => !fulfillment.status || fulfillment.status === "success");
 
-        if (reason === "Order Edit - Addition") {
-          backgroundColor = { red: 0.8, green: 1.0, blue: 0.8 }; // Light green
-        } else if (reason === "Order Edit - Removal") {
-          backgroundColor = { red: 1.0, green: 0.8, blue: 0.8 }; // Light red
-        }
+    console.log('🔍 Starting fulfillment process:', {
+      orderId,
+      type,
+      fulfillmentIds: fulfillments.map(fulfillment => fulfillment.id)
+    });
 
-        if (backgroundColor) {
-          formatRequests.push({
-            repeatCell: {
-              range: {
-                sheetId: await getSheetId(sheets, "Orders"),
-                startRowIndex: currentRow - 1,
-                endRowIndex: currentRow,
-                startColumnIndex: 0,
-                endColumnIndex: 19, // All columns
-              },
-              cell: {
-                userEnteredFormat: {
-                  backgroundColor: backgroundColor,
-                  textFormat: { 
-                    foregroundColor: { red: 0, green: 0, blue: 0 } // Black text for light backgrounds
-                  }
-                },
-              },
-              fields: "userEnteredFormat(backgroundColor,textFormat)",
-            },
-          });
+    const orderQuery = `
+      query getOrder($id: ID!) {
+        order(id: $id) {
+          id
+          name
+          customer {
+            firstName
+            lastName
+            email
+            phone
+          }
+          metafield(namespace: "sku_tracking", key: "assigned_subskus") {
+            value
+          }
         }
-        currentRow++;
       }
+    `;
 
-      // Apply formatting if there are any format requests
-      if (formatRequests.length > 0) {
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId: process.env.GOOGLE_SHEET_ID,
-          requestBody: { requests: formatRequests },
-        });
-        console.log(`✅ Applied background colors to ${formatRequests.length} rows`);
-      }
+    const orderData = await makeShopifyGraphQLRequest(session, orderQuery, {
+      id: `gid://shopify/Order/${orderId}`,
+    });
 
-      console.log(`✅ Successfully appended ${sheetData.length} rows to Orders sheet`);
+    const order = orderData.data.order;
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
     }
 
-    // Prepend data to Google Sheet
-    if (sheetData.length > 0) {
-      console.log(`📊 Prepending ${sheetData.length} rows to Orders sheet for order edit ${payload.order_edit.id}`);
-      
-      const authClient = await auth.getClient();
-      const sheets = google.sheets({ version: "v4", auth: authClient });
+    if (!order.metafield?.value) {
+      console.log('⚠️ No assigned subSKUs found for order:', orderId);
+      return {
+        success: true,
+        data: {
+          skipped: true,
+          reason: 'No assigned subSKUs found'
+        }
+      };
+    }
 
-      // Use the new prepend function
-      await prependDataToSheet("Orders", sheetData, 3);
+    const assignedSubSKUs = JSON.parse(order.metafield.value);
+    const results = [];
+    const sheetData = [];
 
-      // Apply background colors based on operation type
-      const formatRequests = [];
-      let currentRow = 3; // Start from row 3 (after header and date row)
+    for (const fulfillment of fulfillments) {
+      const trackingNumbers = fulfillment.tracking_numbers?.length
+        ? fulfillment.tracking_numbers
+        : fulfillment.tracking_number ? [fulfillment.tracking_number] : [];
+      const shippedAt = fulfillment.created_at ? new Date(fulfillment.created_at) : new Date();
 
-      for (const row of sheetData) {
-        const reason = row[9]; // Output Reason column
-        let backgroundColor = null;
+      for (const item of fulfillment.line_items || []) {
+        const sku = item.sku;
+        const lineItemId = item.id;
 
-        if (reason === "Order Edit - Addition") {
-          backgroundColor = { red: 0.8, green: 1.0, blue: 0.8 }; // Light green
-        } else if (reason === "Order Edit - Removal") {
-          backgroundColor = { red: 1.0, green: 0.8, blue: 0.8 }; // Light red
+        if (!sku) {
+          console.log('⚠️ Skipping line item - no SKU:', { lineItemId });
+          continue;
         }
 
-        if (backgroundColor) {
-          formatRequests.push({
-            repeatCell: {
-              range: {
-                sheetId: await getSheetId(sheets, "Orders"),
-                startRowIndex: currentRow - 1,
-                endRowIndex: currentRow,
-                startColumnIndex: 0,
-                endColumnIndex: 19, // All columns
-              },
-              cell: {
-                userEnteredFormat: {
-                  backgroundColor: backgroundColor,
-                  textFormat: { 
-                    foregroundColor: { red: 0, green: 0, blue: 0 } // Black text for light backgrounds
-                  }
-                },
-              },
-              fields: "userEnteredFormat(backgroundColor,textFormat)",
+        // Both webhooks report the same fulfillment and may run at the same time, so the check,
+        // the status update and the ledger write happen under the SKU lock: only the first job ships the line item
+        const subSKUsToShip = await withSKULock(session.shop, sku, async () => {
+          if (await isFulfillmentRecorded(session.shop, fulfillment.id, lineItemId)) {
+            return null;
+          }
+
+          // A line item can be fulfilled in several shipments, so skip the subSKUs that already left
+          const skuRecord = await db.SKU.findUnique({
+            where: { shop_sku: { shop: session.shop, sku } },
+          });
+          const shippedSubSKUs = new Set(
+            (skuRecord?.subSKU || [])
+              .filter(subSku => subSku.status === SUB_SKU_STATUSES.SHIPPED)
+              .map(subSku => subSku.name)
+          );
+          const names = (assignedSubSKUs[lineItemId] || [])
+            .filter(name => !shippedSubSKUs.has(name))
+            .slice(0, item.quantity);
+          if (names.length === 0) return names;
+
+          assertTransitions(
+            skuRecord.subSKU.filter(subSku => names.includes(subSku.name)),
+            SUB_SKU_STATUSES.SHIPPED
+          );
+          await db.SKU.update({
+            where: { shop_sku: { shop: session.shop, sku } },
+            data: {
+              subSKU: skuRecord.subSKU.map(subSku =>
+                names.includes(subSku.name) ? { ...subSku, status: SUB_SKU_STATUSES.SHIPPED } : subSku
+              ),
             },
           });
+          await recordSubSKUEvents(
+            session.shop,
+            sku,
+            names,
+            LEDGER_EVENTS.SHIPPED,
+            {
+              orderId,
+              lineItemId,
+              webhookType: type,
+              fulfillmentId: fulfillment.id,
+              trackingNumbers,
+            },
+          );
+          return names;
+        });
+
+        if (!subSKUsToShip) {
+          console.log(`⏭️ Fulfillment ${fulfillment.id} line item ${lineItemId} already recorded, skipping`);
+          continue;
+        }
+
+        if (subSKUsToShip.length === 0) {
+          console.log('⚠️ No assigned subSKUs left to ship:', { lineItemId, sku });
+          results.push({
+            lineItemId,
+            sku,
+            success: false,
+            error: 'No assigned subSKUs left to ship'
+          });
+          continue;
         }
-        currentRow++;
-      }
 
-      // Apply formatting if there are any format requests
-      if (formatRequests.length > 0) {
-        await sheets.spreadsheets.batchUpdate({
-          spreadsheetId: process.env.GOOGLE_SHEET_ID,
-          requestBody: { requests: formatRequests },
+        subSKUsToShip.forEach((subSkuName) => {
+          sheetData.push({
+            date: shippedAt,
+            invoiceNumber: order.name,
+            itemTitle: item.title,
+            sku,
+            subSku: subSkuName,
+            variant: item.variant_title || "",
+            reason: ORDER_REASONS.SHIPPED,
+            customerName: `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(),
+            email: order.customer?.email || "",
+            phone: order.customer?.phone || "",
+            supplierName: item.vendor || "",
+            note: trackingNumbers.length > 0
+              ? `Fulfillment ID: ${fulfillment.id}, Tracking: ${trackingNumbers.join(", ")}`
+              : `Fulfillment ID: ${fulfillment.id}`,
+          });
         });
-        console.log(`✅ Applied background colors to ${formatRequests.length} rows`);
-      }
 
-      console.log(`✅ Successfully prepended ${sheetData.length} rows to Orders sheet`);
+        results.push({
+          lineItemId,
+          sku,
+          success: true,
+          fulfillmentId: fulfillment.id,
+          shipped: subSKUsToShip,
+          trackingNumbers
+        });
+      }
     }
 
-    console.log('✅ Order edit completed:', {
-      orderEditId: payload.order_edit.id,
-      orderId: payload.order_edit.order_id,
+    await writeOrderMovements(sheetData);
+
+    console.log('✅ Fulfillment processing completed:', {
+      orderId,
+      type,
       processedItems: results.length,
       successfulItems: results.filter(r => r.success).length,
-      failedItems: results.filter(r => !r.success).length,
       sheetRowsAdded: sheetData.length
     });
 
     return {
       success: true,
-      data: {
-        orderEditId: payload.order_edit.id,
-        orderId: payload.order_edit.order_id,
-        results,
-        sheetRowsAdded: sheetData.length
-      }
+      data: results
     };
   } catch (error) {
-    console.error('❌ Error processing order edit:', {
+    console.error('❌ Error processing fulfillment:', {
       error: error.message,
       stack: error.stack,
-      orderEditId: payload.order_edit?.id,
-      orderId: payload.order_edit?.order_id
+      orderId,
+      type
     });
     return {
       success: false,
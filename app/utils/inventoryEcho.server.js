@@ -0,0 +1,39 @@
+import redisClient from "../config/redis.server";
+
+const ECHO_TTL_SECONDS = 600; // Shopify sends the inventory_levels/update within seconds
+
+function getEchoKey(shop, inventoryItemId, locationId, available) {
+  const itemId = String(inventoryItemId).split("/").pop();
+  const location = String(locationId).split("/").pop();
+  return `inventory-echo:${shop}:${itemId}:${location}:${available}`;
+}
+
+/**
+ * Remember the quantity an adjustment we pushed to Shopify left behind,
+ * so the inventory_levels/update it triggers is not processed as a new change
+ * @param {string} shop - Shop domain
+ * @param {string|number} inventoryItemId - Inventory item ID or GID
+ * @param {string|number} locationId - Location ID or GID
+ * @param {number} available - Available quantity after the adjustment
+ */
+export async function markInventoryEcho(shop, inventoryItemId, locationId, available) {
+  await redisClient.set(
+    getEchoKey(shop, inventoryItemId, locationId, available),
+    "1",
+    "EX",
+    ECHO_TTL_SECONDS,
+  );
+}
+
+/**
+ * Check whether an inventory_levels/update is the echo of an adjustment we pushed ourselves.
+ * Each pushed adjustment is matched once, so a later real change to the same quantity is still processed.
+ * @param {string} shop - Shop domain
+ * @param {string|number} inventoryItemId - Inventory item ID or GID
+ * @param {string|number} locationId - Location ID or GID
+ * @param {number} available - Available quantity from the webhook
+ * @returns {Promise<boolean>}
+ */
+export async function isInventoryEcho(shop, inventoryItemId, locationId, available) {
+  return (await redisClient.del(getEchoKey(shop, inventoryItemId, locationId, available))) > 0;
+}
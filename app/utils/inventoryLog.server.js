@@ -1,45 +1,14 @@
-import { google } from "googleapis";
-import { auth, ensureSheetTabExists, getSheetId } from "./googleSheet.server";
-
-const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+import { ensureSheetHeader, prependSheetRows } from "./sheetSink.server";
 
 export async function ensureInventoryReduceSheet() {
-  // Use existing function to create sheet if it doesn't exist
-  await ensureSheetTabExists("Inventory Reduce");
-  
-  const authClient = await auth.getClient();
-  const sheets = google.sheets({ version: "v4", auth: authClient });
-
-  // Check if headers exist
-  const headerRes = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: "Inventory Reduce!A1:E1",
-  });
-
-  const headers = headerRes.data.values?.[0] || [];
-
-  if (headers.length === 0) {
-    // Add headers
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SHEET_ID,
-      range: "Inventory Reduce!A1",
-      valueInputOption: "USER_ENTERED",
-      requestBody: {
-        values: [["Date", "Timing", "SKU", "Reduced by", "Value"]],
-      },
-    });
-    console.log("✅ Added headers to 'Inventory Reduce' sheet");
-  } else {
-    console.log("ℹ️ Headers already exist in 'Inventory Reduce' sheet");
-  }
+  // Create the tab and its headers if they don't exist
+  await ensureSheetHeader("Inventory Reduce");
 }
 
 export async function logInventoryReductionWithReason(sku, quantity, reason) {
   try {
     await ensureInventoryReduceSheet();
     console.log("🔍 Logging inventory reduction with reason:", { sku, quantity, reason });
-    const authClient = await auth.getClient();
-    const sheets = google.sheets({ version: "v4", auth: authClient });
 
     const currentDate = new Date();
     const dateString = currentDate.toISOString().split("T")[0];
@@ -59,63 +28,8 @@ export async function logInventoryReductionWithReason(sku, quantity, reason) {
       quantity.toString()   // Value (quantity removed)
     ];
 
-    // Use the same approach as prependDataToSheet
-    // Step 1: Insert a new row at the top (after header)
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId: SHEET_ID,
-      requestBody: {
-        requests: [{
-          insertDimension: {
-            range: {
-              sheetId: await getSheetId(sheets, "Inventory Reduce"),
-              dimension: "ROWS",
-              startIndex: 1, // After header row
-              endIndex: 2
-            },
-            inheritFromBefore: false
-          }
-        }]
-      }
-    });
-
-    // Step 2: Clear formatting from the inserted row
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId: SHEET_ID,
-      requestBody: {
-        requests: [{
-          repeatCell: {
-            range: {
-              sheetId: await getSheetId(sheets, "Inventory Reduce"),
-              startRowIndex: 1,
-              endRowIndex: 2,
-              startColumnIndex: 0,
-              endColumnIndex: 5
-            },
-            cell: {
-              userEnteredFormat: {
-                backgroundColor: { red: 1, green: 1, blue: 1 }, // White background
-                textFormat: {
-                  foregroundColor: { red: 0, green: 0, blue: 0 }, // Black text
-                  bold: false,
-                  italic: false
-                }
-              }
-            },
-            fields: "userEnteredFormat(backgroundColor,textFormat)"
-          }
-        }]
-      }
-    });
-
-    // Step 3: Write data to the new row (row 2)
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SHEET_ID,
-      range: "Inventory Reduce!A2",
-      valueInputOption: "USER_ENTERED",
-      requestBody: {
-        values: [newRow],
-      },
-    });
+    // Insert the row at the top, right after the header row
+    await prependSheetRows("Inventory Reduce", [newRow], { startRow: 2 });
 
     console.log(`✅ Logged inventory reduction: SKU ${sku}, Quantity: ${quantity}, Reason: ${reason}`);
     
@@ -131,5 +45,3 @@ export async function logInventoryReductionWithReason(sku, quantity, reason) {
     };
   }
 }
-
- 
\ No newline at end of file
@@ -0,0 +1,211 @@
+import db from "../db.server";
+import { setInventoryQuantity, toLocationId } from "./helper";
+import { markInventoryEcho } from "./inventoryEcho.server";
+import { withSKULock } from "./skuLock.server";
+import {
+  assertTransitions,
+  normalizeStatus,
+  SHOPIFY_STOCK_STATUSES,
+  SUB_SKU_STATUSES,
+} from "./subSkuStatus.server";
+
+// Shopify adjustment reason for a unit leaving or re-entering sellable stock, by new status
+const ADJUSTMENT_REASONS = {
+  [SUB_SKU_STATUSES.DAMAGED]: "damaged",
+  [SUB_SKU_STATUSES.LOST]: "shrinkage",
+  [SUB_SKU_STATUSES.WRITTEN_OFF]: "shrinkage",
+  [SUB_SKU_STATUSES.AVAILABLE]: "correction",
+};
+
+/**
+ * Shopify locations of the shop, for picking where stock is received or transferred
+ * @param {object} admin - Shopify admin client
+ * @returns {Promise<Array<{id: string, name: string}>>} - Numeric location IDs and names
+ */
+export async function getShopLocations(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      query getShopLocations {
+        locations(first: 50) {
+          nodes {
+            id
+            name
+          }
+        }
+      }`,
+  );
+  const { data } = await response.json();
+
+  return data.locations.nodes.map((location) => ({
+    id: toLocationId(location.id),
+    name: location.name,
+  }));
+}
+
+/**
+ * Look up the variant a SKU belongs to, with its inventory item and the locations it is stocked at
+ * @param {object} admin - Shopify admin client
+ * @param {string} sku - The base SKU
+ * @returns {Promise<{inventoryItemId: string, itemTitle: string, variant: string, locationIds: Array<string>}>}
+ */
+export async function getVariantBySKU(admin, sku) {
+  const response = await admin.graphql(
+    `#graphql
+      query getVariantBySKU($query: String!) {
+        productVariants(first: 1, query: $query) {
+          nodes {
+            title
+            product {
+              title
+            }
+            inventoryItem {
+              id
+              inventoryLevels(first: 10) {
+                nodes {
+                  location {
+                    id
+                  }
+                }
+              }
+            }
+          }
+        }
+      }`,
+    { variables: { query: `sku:${sku}` } },
+  );
+  const { data } = await response.json();
+  const variant = data.productVariants.nodes[0];
+
+  if (!variant?.inventoryItem) {
+    throw new Error(`No Shopify variant found for SKU ${sku}`);
+  }
+
+  return {
+    inventoryItemId: variant.inventoryItem.id,
+    itemTitle: variant.product.title,
+    variant: variant.title,
+    locationIds: variant.inventoryItem.inventoryLevels.nodes.map((level) =>
+      toLocationId(level.location.id),
+    ),
+  };
+}
+
+/**
+ * Adjust Shopify's available quantity at a location, and remember the resulting quantity
+ * so the inventory_levels/update it triggers is recognised as our own echo
+ * @param {object} admin - Shopify admin client
+ * @param {string} shop - Shop domain
+ * @param {{inventoryItemId: string, locationId: string|number, delta: number, reason: string}} adjustment -
+ *   Inventory item GID, location ID, quantity to add (negative to remove) and Shopify adjustment reason
+ * @throws {Error} - If Shopify rejects the adjustment
+ */
+export async function adjustShopifyInventory(admin, shop, { inventoryItemId, locationId, delta, reason }) {
+  const json = await setInventoryQuantity(
+    admin,
+    inventoryItemId,
+    delta,
+    `gid://shopify/Location/${toLocationId(locationId)}`,
+    reason,
+  );
+  const errors = json.errors || json.data?.inventoryAdjustQuantities?.userErrors || [];
+
+  if (errors.length > 0) {
+    throw new Error(errors.map((error) => error.message).join(", "));
+  }
+
+  const change = json.data.inventoryAdjustQuantities.inventoryAdjustmentGroup?.changes?.find(
+    (item) => item.name === "available",
+  );
+  if (change) {
+    await markInventoryEcho(shop, inventoryItemId, locationId, change.quantityAfterChange);
+  }
+}
+
+/**
+ * Change the status of subSKUs and push the resulting stock change to Shopify.
+ * Units leaving sellable stock (e.g. available -> damaged) lower Shopify's available quantity
+ * at their location with a matching reason; units coming back raise it again.
+ * @param {object} admin - Shopify admin client
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {Array<string>} subSkuNames - SubSKUs to change
+ * @param {string} newStatus - The new status, one of SUB_SKU_STATUSES
+ * @returns {Promise<Array<{locationId: string, delta: number}>>} - Adjustments pushed to Shopify
+ * @throws {Error} - If a transition is illegal or Shopify rejects the adjustment
+ */
+export async function changeSubSKUStatus(admin, shop, baseSku, subSkuNames, newStatus) {
+  const names = Array.isArray(subSkuNames) ? subSkuNames : [subSkuNames];
+
+  // Check, push and write under the lock, so the pool can't change between the check and the write
+  return withSKULock(shop, baseSku, async () => {
+    const sku = await db.SKU.findUnique({
+      where: { shop_sku: { shop, sku: baseSku } },
+    });
+    const subSKUs = (sku?.subSKU || []).filter((subSku) => names.includes(subSku.name));
+
+    if (subSKUs.length !== names.length) {
+      throw new Error(`SubSKU not found in ${baseSku}`);
+    }
+    assertTransitions(subSKUs, newStatus);
+
+    const inStockAfter = SHOPIFY_STOCK_STATUSES.includes(newStatus);
+    const moving = subSKUs.filter(
+      (subSku) => SHOPIFY_STOCK_STATUSES.includes(normalizeStatus(subSku.status)) !== inStockAfter,
+    );
+    const writeStatus = () =>
+      db.SKU.update({
+        where: { shop_sku: { shop, sku: baseSku } },
+        data: {
+          subSKU: sku.subSKU.map((subSku) =>
+            names.includes(subSku.name) ? { ...subSku, status: newStatus } : subSku,
+          ),
+        },
+      });
+
+    const adjustments = [];
+    if (moving.length > 0) {
+      const variant = await getVariantBySKU(admin, baseSku);
+      const deltas = {};
+
+      for (const subSku of moving) {
+        // Units from before locations were tracked are counted where the item is stocked
+        const locationId = subSku.locationId || variant.locationIds[0];
+        if (!locationId) {
+          throw new Error(`${baseSku} is not stocked at any location`);
+        }
+        deltas[locationId] = (deltas[locationId] || 0) + (inStockAfter ? 1 : -1);
+      }
+
+      for (const [locationId, delta] of Object.entries(deltas)) {
+        await adjustShopifyInventory(admin, shop, {
+          inventoryItemId: variant.inventoryItemId,
+          locationId,
+          delta,
+          reason: ADJUSTMENT_REASONS[newStatus] || "correction",
+        });
+        adjustments.push({ locationId, delta });
+      }
+
+      try {
+        await writeStatus();
+      } catch (error) {
+        // The write failed, put Shopify back the way it was
+        for (const { locationId, delta } of adjustments) {
+          await adjustShopifyInventory(admin, shop, {
+            inventoryItemId: variant.inventoryItemId,
+            locationId,
+            delta: -delta,
+            reason: "correction",
+          });
+        }
+        throw error;
+      }
+
+      console.log(`🔁 Pushed ${baseSku} ${newStatus} adjustments to Shopify:`, adjustments);
+      return adjustments;
+    }
+
+    await writeStatus();
+    return adjustments;
+  });
+}
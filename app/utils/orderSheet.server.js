@@ -0,0 +1,192 @@
+import { ensureSheetHeader, prependSheetRows } from "./sheetSink.server";
+import { groupByDate } from "./googleSheet.server";
+
+// Output Reason of each kind of order movement
+export const ORDER_REASONS = {
+  PLACED: "Order Placed",
+  CANCELLED: "Order Cancelled",
+  REFUNDED: "Order Refunded",
+  REFUNDED_NO_RESTOCK: "Refund (no restock)",
+  EDIT_ADDITION: "Order Edit - Addition",
+  EDIT_REMOVAL: "Order Edit - Removal",
+  SHIPPED: "Shipped",
+  REASSIGNMENT_RELEASED: "Reassignment - Released",
+  REASSIGNMENT_ASSIGNED: "Reassignment - Assigned",
+};
+
+// Movements that take stock out; their Output Weight is written as a negative number
+const OUTGOING_REASONS = new Set([
+  ORDER_REASONS.PLACED,
+  ORDER_REASONS.EDIT_ADDITION,
+  ORDER_REASONS.REASSIGNMENT_ASSIGNED,
+]);
+
+const WHITE_TEXT = { red: 1, green: 1, blue: 1 };
+
+// Row colours by Output Reason, placed orders keep the default white background
+const REASON_FORMATS = {
+  [ORDER_REASONS.CANCELLED]: {
+    backgroundColor: { red: 0.8, green: 0.2, blue: 0.2 }, // Dark red
+    textColor: WHITE_TEXT,
+  },
+  [ORDER_REASONS.REFUNDED]: {
+    backgroundColor: { red: 1.0, green: 0.6, blue: 0.2 }, // Orange
+    textColor: WHITE_TEXT, // White text for better contrast with orange background
+  },
+  [ORDER_REASONS.REFUNDED_NO_RESTOCK]: {
+    backgroundColor: { red: 1.0, green: 0.9, blue: 0.7 }, // Light orange
+  },
+  [ORDER_REASONS.EDIT_ADDITION]: {
+    backgroundColor: { red: 0.8, green: 1.0, blue: 0.8 }, // Light green
+  },
+  [ORDER_REASONS.EDIT_REMOVAL]: {
+    backgroundColor: { red: 1.0, green: 0.8, blue: 0.8 }, // Light red
+  },
+  [ORDER_REASONS.SHIPPED]: {
+    backgroundColor: { red: 0.8, green: 0.9, blue: 1.0 }, // Light blue
+  },
+  [ORDER_REASONS.REASSIGNMENT_RELEASED]: {
+    backgroundColor: { red: 0.9, green: 0.85, blue: 1.0 }, // Light purple
+  },
+  [ORDER_REASONS.REASSIGNMENT_ASSIGNED]: {
+    backgroundColor: { red: 0.9, green: 0.85, blue: 1.0 }, // Light purple
+  },
+};
+
+// The "Orders" tab layout, in column order
+const ORDER_COLUMNS = [
+  { header: "Date", key: "day" },
+  { header: "Time(Paris Time Zone)", key: "time" },
+  { header: "Invoice Number", key: "invoiceNumber" },
+  { header: "Item Title", key: "itemTitle" },
+  { header: "SKU", key: "sku" },
+  { header: "Sub-SKU", key: "subSku" },
+  { header: "Variant", key: "variant" },
+  { header: "Selected Size", key: "selectedSize" },
+  { header: "Output Weight", key: "outputWeight" },
+  { header: "Output Reason", key: "reason" },
+  { header: "Free Handwritten Note", key: "handwrittenNote" },
+  { header: "Customer Name", key: "customerName" },
+  { header: "Email", key: "email" },
+  { header: "Telephone", key: "phone" },
+  { header: "Attachment pdf - jpg", key: "attachment" },
+  { header: "Supplier Name", key: "supplierName" },
+  { header: "Supplier Address", key: "supplierAddress" },
+  { header: "ID session staff", key: "staffId" },
+  { header: "Note", key: "note" },
+];
+
+export const ORDER_SHEET_HEADER = ORDER_COLUMNS.map((column) => column.header);
+export const ORDER_SHEET_SUB_SKU_COLUMN = ORDER_COLUMNS.findIndex((column) => column.key === "subSku");
+
+function formatOutputWeight(weight, reason) {
+  if (weight === null || weight === undefined || weight === "") return "";
+  return OUTGOING_REASONS.has(reason) ? -Math.abs(weight) : weight;
+}
+
+function toOrderRow(movement) {
+  const date = movement.date || new Date();
+  const values = {
+    ...movement,
+    day: date.toISOString().split("T")[0],
+    time: date.toLocaleTimeString('fr-FR', { timeZone: 'Europe/Paris' }),
+    outputWeight: formatOutputWeight(movement.weight, movement.reason),
+  };
+
+  return ORDER_COLUMNS.map(({ key }) => values[key] ?? "");
+}
+
+/**
+ * Write order movements to the "Orders" tab, newest first, coloured by Output Reason.
+ * This is the only writer of the Orders tab.
+ * @param {Array<{date: Date, invoiceNumber: string, itemTitle: string, sku: string, subSku: string, reason: string, weight?: number, variant?: string, selectedSize?: string, customerName?: string, email?: string, phone?: string, supplierName?: string, note?: string}>} movements -
+ *   One movement per subSKU; weight is in grams and signed here from the reason
+ * @returns {Promise<number>} - Number of rows written
+ */
+export async function writeOrderMovements(movements) {
+  if (movements.length === 0) return 0;
+
+  const rows = movements.map(toOrderRow);
+
+  await ensureSheetHeader("Orders", ORDER_SHEET_HEADER);
+  await prependSheetRows("Orders", rows, {
+    formats: movements.map((movement) => REASON_FORMATS[movement.reason] || null),
+  });
+
+  console.log(`✅ Wrote ${rows.length} order movement rows to Orders sheet`);
+  return rows.length;
+}
+
+/**
+ * Build the "Order Placed" movements for processed orders, one per assigned subSKU, oldest order first
+ * @param {Array<Object>} orders - Orders from processWebhookPayload
+ * @param {Object<string, number>} [subSkuWeights] - Measured weight per subSKU, used instead of the variant weight
+ * @returns {Array<Object>} - Movements for writeOrderMovements
+ */
+export function getPlacedOrderMovements(orders, subSkuWeights = {}) {
+  // Sort orders by date first
+  const sortedOrders = [...orders].sort((a, b) => 
+    new Date(a.created_at).getTime() - new Date(b.created_at).getTime()
+  );
+  
+  const grouped = groupByDate(sortedOrders);
+
+  const allMovements = [];
+
+  // Process each date group
+  for (const ordersForDate of Object.values(grouped)) {
+
+    // Track processed order IDs to avoid duplicates
+    const processedOrderIds = new Set();
+
+    // Add order rows for this date
+    for (const order of ordersForDate) {
+      // Skip if we've already processed this order
+      if (processedOrderIds.has(order.orderId)) {
+        continue;
+      }
+      processedOrderIds.add(order.orderId);
+
+      // Track processed line items to avoid duplicates
+      const processedLineItems = new Set();
+
+      for (const lineItem of order.lineItems) {
+        // Skip if we've already processed this line item
+        if (processedLineItems.has(lineItem.sku)) {
+          continue;
+        }
+        processedLineItems.add(lineItem.sku);
+
+        if (lineItem.assigned_subskus && lineItem.assigned_subskus.length > 0) {
+          // Track processed subSKUs to avoid duplicates
+          const processedSubSKUs = new Set();
+
+          for (const subSKU of lineItem.assigned_subskus) {
+            // Skip if we've already processed this subSKU
+            if (processedSubSKUs.has(subSKU)) {
+              continue;
+            }
+            processedSubSKUs.add(subSKU);
+            allMovements.push({
+              date: order.created_at ? new Date(order.created_at) : new Date(),
+              invoiceNumber: order.name,
+              itemTitle: lineItem.title,
+              sku: lineItem.sku,
+              subSku: subSKU,
+              variant: lineItem.variant,
+              selectedSize: lineItem.selected_size,
+              weight: subSkuWeights[subSKU] ?? lineItem.weight,
+              reason: ORDER_REASONS.PLACED,
+              customerName: order.customerName,
+              email: order.email,
+              phone: order.phone,
+              supplierName: lineItem.vendor,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return allMovements;
+}
@@ -0,0 +1,382 @@
+import db from "../db.server";
+import {
+  addSubSKUsToBase,
+  adoptUnlocatedSubSKUs,
+  createNewSKU,
+  removeSubSKUsByQuantity,
+  toLocationId,
+} from "./helper";
+import { getHeldQuantities } from "./heldLineItems.server";
+import { LEDGER_EVENTS, recordSubSKUEvents } from "./subSkuLedger.server";
+import { ensureSheetHeader, prependSheetRows } from "./sheetSink.server";
+import { makeShopifyGraphQLRequest } from "./shopify.server";
+import { SHOPIFY_STOCK_STATUSES } from "./subSkuStatus.server";
+
+export const RECONCILIATION_MODES = {
+  DRY_RUN: "dry_run",
+  APPLY: "apply",
+};
+
+const VARIANTS_PAGE_SIZE = 100;
+
+const variantsQuery = `
+  query getVariantsForReconciliation($first: Int!, $after: String) {
+    productVariants(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        sku
+        title
+        inventoryItem {
+          tracked
+          inventoryLevels(first: 50) {
+            nodes {
+              location {
+                id
+                name
+              }
+              quantities(names: ["available"]) {
+                quantity
+              }
+            }
+          }
+        }
+        product {
+          title
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * The shop's primary location, where sub-SKUs not tied to a location yet are counted
+ * @param {object} session - Shopify session
+ * @returns {Promise<{id: string, name: string}|null>} - Numeric location ID and name
+ */
+async function getPrimaryLocation(session) {
+  const { data } = await makeShopifyGraphQLRequest(
+    session,
+    `
+    query getPrimaryLocation {
+      location {
+        id
+        name
+      }
+    }
+  `,
+  );
+
+  return data?.location ? { id: toLocationId(data.location.id), name: data.location.name } : null;
+}
+
+/**
+ * Page through every tracked variant of the shop and sum Shopify's available quantity per SKU and location
+ * @param {object} session - Shopify session
+ * @returns {Promise<{variantsChecked: number, shopifySkus: Set<string>, untrackedSkus: Set<string>, quantities: Map<string, {sku: string, locationId: string, locationName: string, shopifyQuantity: number, itemTitle: string, variant: string}>}>} -
+ *   Every SKU Shopify has a variant for, the ones whose inventory isn't tracked, and the tracked quantities keyed by SKU and location ID
+ */
+async function getShopifyQuantitiesBySKU(session) {
+  const quantities = new Map();
+  const shopifySkus = new Set();
+  const untrackedSkus = new Set();
+  let variantsChecked = 0;
+  let after = null;
+
+  do {
+    const { data } = await makeShopifyGraphQLRequest(session, variantsQuery, {
+      first: VARIANTS_PAGE_SIZE,
+      after,
+    });
+    const { nodes, pageInfo } = data.productVariants;
+
+    for (const variant of nodes) {
+      if (!variant.sku) continue;
+      shopifySkus.add(variant.sku);
+      if (!variant.inventoryItem?.tracked) {
+        untrackedSkus.add(variant.sku);
+        continue;
+      }
+      variantsChecked++;
+
+      for (const level of variant.inventoryItem.inventoryLevels.nodes) {
+        const locationId = toLocationId(level.location.id);
+        const quantity = level.quantities[0]?.quantity ?? 0;
+        const key = `${variant.sku}\u0000${locationId}`;
+        const existing = quantities.get(key);
+        if (existing) {
+          // Variants sharing a SKU draw from the same sub-SKU pool
+          existing.shopifyQuantity += quantity;
+        } else {
+          quantities.set(key, {
+            sku: variant.sku,
+            locationId,
+            locationName: level.location.name,
+            shopifyQuantity: quantity,
+            itemTitle: variant.product.title,
+            variant: variant.title,
+          });
+        }
+      }
+    }
+
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+
+  return { variantsChecked, shopifySkus, untrackedSkus, quantities };
+}
+
+/**
+ * Whether a subSKU is counted at a location: its own, or the primary location when it isn't tied to one yet
+ * @param {{locationId?: string}} subSku - The subSKU
+ * @param {string} locationId - Shopify location ID
+ * @param {string|null} primaryLocationId - The shop's primary location ID
+ * @returns {boolean}
+ */
+function isCountedAt(subSku, locationId, primaryLocationId) {
+  return subSku?.locationId ? subSku.locationId === String(locationId) : locationId === primaryLocationId;
+}
+
+/**
+ * Bring one location's sub-SKU pool of a SKU in line with Shopify's quantity there
+ * Re-reads the pool first, since orders may have moved units since the report was taken.
+ * At the primary location, the available units not tied to a location yet are tied to it first.
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {object} drift - Drift entry of the report
+ * @param {string|null} primaryLocationId - The shop's primary location ID
+ * @returns {Promise<{applied: number, subSKUs: Array<string>}>}
+ */
+async function applyDrift(shop, drift, primaryLocationId) {
+  const { locationId } = drift;
+  const context = { webhookType: "reconciliation", locationId };
+
+  if (locationId === primaryLocationId) {
+    await adoptUnlocatedSubSKUs(shop, drift.sku, Number.MAX_SAFE_INTEGER, locationId);
+  }
+
+  const pool = await db.SKU.findUnique({
+    where: { shop_sku: { shop, sku: drift.sku } },
+    select: { subSKU: true },
+  });
+
+  if (!pool) {
+    const created = await createNewSKU(shop, drift.sku, drift.shopifyQuantity, { locationId });
+    const names = (created.subSKU || []).map((subSku) => subSku.name);
+    await recordSubSKUEvents(shop, drift.sku, names, LEDGER_EVENTS.CREATED, context);
+    return { applied: names.length, subSKUs: names };
+  }
+
+  const counted = (pool.subSKU || []).filter((subSku) => isCountedAt(subSku, locationId, primaryLocationId));
+  const stockQuantity = counted.filter((subSku) => SHOPIFY_STOCK_STATUSES.includes(subSku.status)).length;
+  const availableQuantity = counted.filter((subSku) => subSku.status === "available").length;
+  const heldQuantity = drift.heldQuantity || 0;
+  const difference = drift.shopifyQuantity - (stockQuantity - heldQuantity);
+
+  if (difference > 0) {
+    const added = await addSubSKUsToBase(shop, drift.sku, difference, { locationId });
+    await recordSubSKUEvents(shop, drift.sku, added, LEDGER_EVENTS.CREATED, context);
+    return { applied: added.length, subSKUs: added };
+  }
+
+  // Only available units can be removed, sold or returned ones and the ones owed to held line items stay in the pool
+  const toRemove = Math.min(-difference, availableQuantity - heldQuantity);
+  if (toRemove <= 0) {
+    return { applied: 0, subSKUs: [] };
+  }
+
+  const removed = await removeSubSKUsByQuantity(shop, drift.sku, toRemove, { locationId });
+  await recordSubSKUEvents(shop, drift.sku, removed, LEDGER_EVENTS.REMOVED, context);
+  return { applied: -removed.length, subSKUs: removed };
+}
+
+/**
+ * Write the drift of a report to the "Reconciliation" tab, newest first
+ * @param {object} report - The finished report
+ */
+async function writeReconciliationSheet(report) {
+  if (report.drifts.length === 0) return;
+
+  const currentDate = new Date(report.startedAt);
+  const dateString = currentDate.toISOString().split("T")[0];
+  const timeString = currentDate.toLocaleTimeString("en-US", {
+    timeZone: "Europe/Paris",
+    hour12: false,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+  await ensureSheetHeader("Reconciliation");
+  await prependSheetRows(
+    "Reconciliation",
+    report.drifts.map((drift) => [
+      dateString,
+      timeString,
+      report.mode,
+      drift.sku,
+      drift.itemTitle,
+      drift.variant,
+      drift.shopifyQuantity.toString(),
+      drift.ourQuantity.toString(),
+      drift.difference.toString(),
+      drift.error ? `Error: ${drift.error}` : drift.notInShopify ? "Not in Shopify" : (drift.applied ?? "").toString(),
+      drift.locationName || drift.locationId || "",
+    ]),
+    { startRow: 2 },
+  );
+}
+
+/**
+ * Compare every tracked variant's Shopify quantity at each location with that location's sub-SKU pool and store a drift report
+ * In apply mode each drifting SKU and location is corrected with adoptUnlocatedSubSKUs / addSubSKUsToBase / removeSubSKUsByQuantity.
+ * @param {object} session - Shopify session
+ * @param {{mode?: string, trigger?: string, writeSheet?: boolean}} options -
+ *   One of RECONCILIATION_MODES, what started the run ("schedule" or "manual"), and whether to write the "Reconciliation" tab
+ * @returns {Promise<Object>} - The stored report
+ */
+export async function runReconciliation(
+  session,
+  { mode = RECONCILIATION_MODES.DRY_RUN, trigger = "manual", writeSheet = false } = {},
+) {
+  if (!Object.values(RECONCILIATION_MODES).includes(mode)) {
+    throw new Error(`Unknown reconciliation mode "${mode}"`);
+  }
+
+  const { shop } = session;
+  const report = await db.ReconciliationReport.create({
+    data: { shop, mode, trigger, status: "running" },
+  });
+
+  try {
+    const { variantsChecked, shopifySkus, untrackedSkus, quantities } = await getShopifyQuantitiesBySKU(session);
+    const primaryLocation = await getPrimaryLocation(session);
+    const pools = await db.SKU.findMany({
+      where: { shop },
+      select: { sku: true, subSKU: true },
+    });
+    // Stock per SKU and location, returns awaiting inspection are still on hand in Shopify.
+    // Units not tied to a location yet are counted at the primary location
+    const stock = new Map();
+    for (const pool of pools) {
+      for (const subSku of pool.subSKU || []) {
+        const locationId = subSku?.locationId || primaryLocation?.id;
+        if (!locationId || !SHOPIFY_STOCK_STATUSES.includes(subSku.status)) continue;
+        const key = `${pool.sku}\u0000${locationId}`;
+        stock.set(key, (stock.get(key) || 0) + 1);
+      }
+    }
+    const skusWithPool = new Set(pools.map((pool) => pool.sku));
+    // Shopify already counts units owed to held line items as committed
+    const heldQuantities = await getHeldQuantities(shop);
+    const locationNames = new Map([
+      ...(primaryLocation ? [[primaryLocation.id, primaryLocation.name]] : []),
+      ...[...quantities.values()].map((shopifyData) => [shopifyData.locationId, shopifyData.locationName]),
+    ]);
+
+    const drifts = [];
+    // Stock we hold where Shopify has none: a location the variant isn't stocked at, or a SKU Shopify doesn't have
+    for (const [key, quantity] of stock) {
+      const [sku, locationId] = key.split("\u0000");
+      if (quantities.has(key) || untrackedSkus.has(sku)) continue;
+      const heldQuantity = heldQuantities.get(key) ?? 0;
+      const ourQuantity = quantity - heldQuantity;
+      if (ourQuantity === 0) continue;
+
+      drifts.push({
+        sku,
+        locationId,
+        locationName: locationNames.get(locationId) || "",
+        itemTitle: "",
+        variant: "",
+        shopifyQuantity: 0,
+        ourQuantity,
+        heldQuantity,
+        difference: -ourQuantity,
+        missing: false,
+        notInShopify: !shopifySkus.has(sku),
+      });
+    }
+
+    for (const [key, shopifyData] of quantities) {
+      const { sku, locationId } = shopifyData;
+      const heldQuantity = heldQuantities.get(key) ?? 0;
+      const ourQuantity = (stock.get(key) ?? 0) - heldQuantity;
+      const shopifyQuantity = Math.max(shopifyData.shopifyQuantity, 0);
+      if (ourQuantity === shopifyQuantity) continue;
+
+      drifts.push({
+        sku,
+        locationId,
+        locationName: shopifyData.locationName,
+        itemTitle: shopifyData.itemTitle,
+        variant: shopifyData.variant,
+        shopifyQuantity,
+        ourQuantity,
+        heldQuantity,
+        difference: shopifyQuantity - ourQuantity,
+        missing: !skusWithPool.has(sku),
+      });
+    }
+
+    console.log(`📊 Reconciliation ${report.id} for ${shop}:`, {
+      mode,
+      variantsChecked,
+      drifts: drifts.length,
+    });
+
+    if (mode === RECONCILIATION_MODES.APPLY) {
+      for (const drift of drifts) {
+        // A SKU Shopify doesn't know may have been renamed, its units are left for staff to sort out
+        if (drift.notInShopify) continue;
+
+        try {
+          const { applied, subSKUs } = await applyDrift(shop, drift, primaryLocation?.id || null);
+          drift.applied = applied;
+          drift.subSKUs = subSKUs;
+        } catch (error) {
+          console.error(`❌ Error reconciling ${drift.sku} at location ${drift.locationId}:`, error);
+          drift.error = error.message;
+        }
+      }
+    }
+
+    const completed = await db.ReconciliationReport.update({
+      where: { id: report.id },
+      data: {
+        status: "completed",
+        variantsChecked,
+        driftCount: drifts.length,
+        drifts,
+        completedAt: new Date(),
+      },
+    });
+
+    if (writeSheet) {
+      await writeReconciliationSheet(completed);
+    }
+
+    return completed;
+  } catch (error) {
+    await db.ReconciliationReport.update({
+      where: { id: report.id },
+      data: { status: "failed", error: error.message, completedAt: new Date() },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Latest reconciliation reports of a shop, newest first
+ * @param {string} shop - Shop domain
+ * @param {number} [take] - Number of reports to return
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getReconciliationReports(shop, take = 20) {
+  return db.ReconciliationReport.findMany({
+    where: { shop },
+    orderBy: { startedAt: "desc" },
+    take,
+  });
+}
@@ -0,0 +1,224 @@
+import db from "../db.server";
+
+/**
+ * Save the sub-SKUs staff picked as coming back for an order.
+ * A selection can target a refund or order edit that exists but hasn't been processed yet, otherwise it waits for the next one on the order.
+ * Saving again for the same target replaces the earlier unused selection.
+ * @param {string} shop - Shop domain
+ * @param {{orderId: string|number, refundId?: string|number, orderEditId?: string|number, lineItems: Object<string, Array<string>>}} selection -
+ *   Sub-SKU names to release per line item ID
+ * @returns {Promise<Object>} - The saved selection
+ * @throws {Error} - If nothing is selected or the refund or order edit was already processed
+ */
+export async function saveRefundSelection(shop, { orderId, refundId, orderEditId, lineItems }) {
+  const cleanedLineItems = Object.fromEntries(
+    Object.entries(lineItems || {})
+      .map(([lineItemId, subSKUs]) => [String(lineItemId), [...new Set(subSKUs || [])]])
+      .filter(([, subSKUs]) => subSKUs.length > 0),
+  );
+
+  if (!orderId) {
+    throw new Error("Missing order ID");
+  }
+  if (Object.keys(cleanedLineItems).length === 0) {
+    throw new Error("Select at least one sub-SKU");
+  }
+
+  const target = {
+    shop,
+    orderId: String(orderId),
+    refundId: refundId ? String(refundId) : null,
+    orderEditId: orderEditId ? String(orderEditId) : null,
+  };
+
+  if (target.refundId || target.orderEditId) {
+    const processed = await db.RefundSelection.findFirst({
+      where: { ...target, consumedAt: { not: null } },
+    });
+    if (processed) {
+      throw new Error(
+        target.refundId
+          ? `Refund ${target.refundId} has already been processed`
+          : `Order edit ${target.orderEditId} has already been processed`,
+      );
+    }
+  }
+
+  await db.RefundSelection.deleteMany({
+    where: { ...target, consumedAt: null },
+  });
+
+  return db.RefundSelection.create({
+    data: { ...target, lineItems: cleanedLineItems },
+  });
+}
+
+/**
+ * Get the selection a refund, order edit or cancellation job should release, and mark it used.
+ * A selection saved for this exact refund/edit wins (also when a retried job already used it),
+ * otherwise the oldest pending selection on the order that covers a line item this job releases units of
+ * is claimed for it. A pending selection is left for a later refund when this one releases none of its line items,
+ * e.g. a refund without restock or an edit that only adds items.
+ * A job that gets no selection leaves a used, empty one behind, so a retry releases the same units
+ * and a selection saved for it afterwards is rejected instead of silently never applying.
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {{refundId?: string|number, orderEditId?: string|number}} target - The refund or order edit being processed,
+ *   neither for the order's cancellation
+ * @param {Array<string|number>} releasingLineItemIds - Line items whose assigned sub-SKUs this job releases
+ * @returns {Promise<Object<string, Array<string>>|null>} - Sub-SKU names per line item ID, or null without a selection
+ */
+export async function claimRefundSelection(shop, orderId, { refundId, orderEditId }, releasingLineItemIds) {
+  const target = refundId
+    ? { refundId: String(refundId) }
+    : orderEditId
+      ? { orderEditId: String(orderEditId) }
+      : { cancelled: true };
+
+  const own = await db.RefundSelection.findFirst({
+    where: { shop, orderId: String(orderId), ...target },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (own) {
+    if (!own.consumedAt) {
+      await db.RefundSelection.update({
+        where: { id: own.id },
+        data: { consumedAt: new Date() },
+      });
+    }
+    return own.lineItems;
+  }
+
+  const releasing = releasingLineItemIds.map(String);
+  const pendingSelections = await db.RefundSelection.findMany({
+    where: {
+      shop,
+      orderId: String(orderId),
+      refundId: null,
+      orderEditId: null,
+      consumedAt: null,
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  const pending = pendingSelections.find((selection) =>
+    Object.keys(selection.lineItems || {}).some((lineItemId) => releasing.includes(lineItemId)),
+  );
+
+  if (pending) {
+    // Only one job may claim a pending selection
+    const { count } = await db.RefundSelection.updateMany({
+      where: { id: pending.id, consumedAt: null },
+      data: { ...target, consumedAt: new Date() },
+    });
+    if (count > 0) return pending.lineItems;
+  }
+
+  await db.RefundSelection.create({
+    data: { shop, orderId: String(orderId), ...target, lineItems: {}, consumedAt: new Date() },
+  });
+  return null;
+}
+
+/**
+ * Pick which assigned sub-SKUs of a line item are released.
+ * Selected sub-SKUs that are still assigned go first; anything missing is taken from the end of the assignment.
+ * @param {Array<string>} assigned - Sub-SKUs currently assigned to the line item
+ * @param {number} quantity - Number of units released
+ * @param {Array<string>} [selected] - Sub-SKUs staff picked for this line item
+ * @returns {{released: Array<string>, remaining: Array<string>}}
+ */
+export function pickSubSKUsToRelease(assigned, quantity, selected = []) {
+  const picked = selected.filter((name) => assigned.includes(name)).slice(0, quantity);
+  const rest = assigned.filter((name) => !picked.includes(name));
+  const topUp = quantity > picked.length ? rest.slice(-(quantity - picked.length)) : [];
+  const released = [...picked, ...topUp];
+
+  return {
+    released,
+    remaining: assigned.filter((name) => !released.includes(name)),
+  };
+}
+
+/**
+ * Load an order with its refunds and the sub-SKUs assigned to each line item, for the return selection page
+ * @param {object} admin - Shopify admin client
+ * @param {string} shop - Shop domain
+ * @param {string} orderName - Order name or number, e.g. "#1001" or "1001"
+ * @returns {Promise<Object|null>} - The order, or null if none matches
+ */
+export async function getOrderForRefundSelection(admin, shop, orderName) {
+  const name = orderName.startsWith("#") ? orderName : `#${orderName}`;
+  const response = await admin.graphql(
+    `#graphql
+      query getOrderForRefundSelection($query: String!) {
+        orders(first: 1, query: $query) {
+          nodes {
+            id
+            name
+            metafield(namespace: "sku_tracking", key: "assigned_subskus") {
+              value
+            }
+            refunds(first: 20) {
+              id
+              createdAt
+            }
+            lineItems(first: 50) {
+              nodes {
+                id
+                title
+                sku
+                variantTitle
+              }
+            }
+          }
+        }
+      }`,
+    { variables: { query: `name:${name}` } },
+  );
+  const { data } = await response.json();
+  const order = data?.orders?.nodes?.[0];
+  if (!order) return null;
+
+  const assignments = order.metafield?.value ? JSON.parse(order.metafield.value) : {};
+  const orderId = order.id.split("/").pop();
+  const pendingSelections = await db.RefundSelection.findMany({
+    where: { shop, orderId, consumedAt: null },
+    orderBy: { createdAt: "asc" },
+  });
+  // Refunds whose job already ran can't take a selection any more
+  const usedSelections = await db.RefundSelection.findMany({
+    where: { shop, orderId, refundId: { not: null }, consumedAt: { not: null } },
+    select: { refundId: true },
+  });
+  const processedRefundIds = usedSelections.map((selection) => selection.refundId);
+
+  return {
+    id: orderId,
+    name: order.name,
+    refunds: order.refunds.map((refund) => ({
+      id: refund.id.split("/").pop(),
+      createdAt: refund.createdAt,
+      processed: processedRefundIds.includes(refund.id.split("/").pop()),
+    })),
+    lineItems: order.lineItems.nodes
+      .map((lineItem) => {
+        const lineItemId = lineItem.id.split("/").pop();
+        return {
+          id: lineItemId,
+          title: lineItem.title,
+          sku: lineItem.sku,
+          variantTitle: lineItem.variantTitle,
+          subSKUs: assignments[lineItemId] || [],
+        };
+      })
+      .filter((lineItem) => lineItem.subSKUs.length > 0),
+    pendingSelections: pendingSelections.map((selection) => ({
+      id: selection.id,
+      refundId: selection.refundId,
+      orderEditId: selection.orderEditId,
+      lineItems: selection.lineItems,
+      createdAt: selection.createdAt.toISOString(),
+    })),
+  };
+}
@@ -0,0 +1,90 @@
+import { googleSheetSink } from "./googleSheetSink.server";
+import { csvSheetSink } from "./csvSheetSink.server";
+
+// Header rows of the ledger tabs; the Orders layout is owned by orderSheet.server.js
+export const SHEET_HEADERS = {
+  "Inventory Updates": [
+    "Date",
+    "Time (Paris Time Zone)",
+    "Item Title",
+    "SKU",
+    "Sub SKU",
+    "Variant",
+    "Input Weight",
+    "Input Reason",
+    "Free Handwritten Note",
+    "Supplier Name",
+    "Supplier Address",
+  ],
+  "Inventory Reduce": ["Date", "Timing", "SKU", "Reduced by", "Value"],
+  Reconciliation: [
+    "Date",
+    "Time (Paris Time Zone)",
+    "Mode",
+    "SKU",
+    "Item Title",
+    "Variant",
+    "Shopify Quantity",
+    "Sub-SKU Quantity",
+    "Difference",
+    "Applied",
+    "Location",
+  ],
+};
+
+const SHEET_SINKS = {
+  google: googleSheetSink,
+  csv: csvSheetSink,
+};
+
+/**
+ * The sheet sink selected by SHEET_SINK ("google" by default, "csv" for local files)
+ * @returns {object} - Sink implementing ensureHeader, prependRows, appendRows and readRows
+ */
+function getSheetSink() {
+  const name = process.env.SHEET_SINK || "google";
+  const sink = SHEET_SINKS[name];
+  if (!sink) {
+    throw new Error(`Unknown SHEET_SINK "${name}", expected one of: ${Object.keys(SHEET_SINKS).join(", ")}`);
+  }
+  return sink;
+}
+
+/**
+ * Create the tab if needed and write its header row when the tab is empty
+ * @param {string} sheetTitle - Ledger tab name
+ * @param {Array<string>} header - Header row, defaults to the tab's entry in SHEET_HEADERS
+ */
+export async function ensureSheetHeader(sheetTitle, header = SHEET_HEADERS[sheetTitle]) {
+  await getSheetSink().ensureHeader(sheetTitle, header);
+}
+
+/**
+ * Insert rows at the top of a ledger tab, newest first
+ * @param {string} sheetTitle - Ledger tab name
+ * @param {Array<Array<string>>} rows - Rows to insert
+ * @param {{startRow?: number, formats?: Array<{backgroundColor: object, textColor?: object}|null>}} options -
+ *   1-based row to insert at (3 leaves room for the header and date row), and an optional format per row
+ */
+export async function prependSheetRows(sheetTitle, rows, options = {}) {
+  await getSheetSink().prependRows(sheetTitle, rows, options);
+}
+
+/**
+ * Add rows after the last row of a ledger tab
+ * @param {string} sheetTitle - Ledger tab name
+ * @param {Array<Array<string>>} rows - Rows to add
+ * @param {{formats?: Array<{backgroundColor: object, textColor?: object}|null>}} options - Optional format per row
+ */
+export async function appendSheetRows(sheetTitle, rows, options = {}) {
+  await getSheetSink().appendRows(sheetTitle, rows, options);
+}
+
+/**
+ * Read every row of a ledger tab, header included
+ * @param {string} sheetTitle - Ledger tab name
+ * @returns {Promise<Array<Array<string>>>}
+ */
+export async function readSheetRows(sheetTitle) {
+  return getSheetSink().readRows(sheetTitle);
+}
@@ -0,0 +1,61 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+import redisClient from "../config/redis.server";
+
+const LOCK_TTL_MS = 30000; // Lock expires on its own if the holder dies mid-update
+const LOCK_WAIT_MS = 30000; // Give up waiting for the lock after this long
+const LOCK_RETRY_DELAY_MS = 50;
+
+// Only delete the lock if we still own it, so an expired lock taken over by another worker is left alone
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("del", KEYS[1])
+  end
+  return 0
+`;
+
+// Tracker of the work running under trackSKULocks, if any
+const lockTracking = new AsyncLocalStorage();
+
+function getLockKey(shop, sku) {
+  return `sku-lock:${shop}:${sku}`;
+}
+
+/**
+ * Run a read-modify-write of a SKU's subSKU pool while holding a Redis lock keyed on the SKU
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} sku - The base SKU to lock
+ * @param {() => Promise<any>} fn - Work to run while the lock is held
+ * @returns {Promise<any>} - Whatever fn returns
+ */
+export async function withSKULock(shop, sku, fn) {
+  const key = getLockKey(shop, sku);
+  const token = randomUUID();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (!(await redisClient.set(key, token, "PX", LOCK_TTL_MS, "NX"))) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock on SKU ${sku}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
+  }
+
+  const tracker = lockTracking.getStore();
+  if (tracker) tracker.locked = true;
+
+  try {
+    return await fn();
+  } finally {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+  }
+}
+
+/**
+ * Run work while noting whether it takes any SKU lock, i.e. may have changed a subSKU pool
+ * @param {{locked: boolean}} tracker - Set to locked once fn takes a SKU lock, also when fn throws
+ * @param {() => Promise<any>} fn - Work to run
+ * @returns {Promise<any>} - Whatever fn returns
+ */
+export function trackSKULocks(tracker, fn) {
+  return lockTracking.run(tracker, fn);
+}
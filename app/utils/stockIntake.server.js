@@ -0,0 +1,144 @@
+import { addSubSKUsToBase, createNewSKU, toLocationId } from "./helper";
+import { adjustShopifyInventory } from "./inventorySync.server";
+import { LEDGER_EVENTS, recordSubSKUEvents } from "./subSkuLedger.server";
+import { ensureSheetHeader, prependSheetRows } from "./sheetSink.server";
+
+const MAX_INTAKE_COUNT = 500;
+
+/**
+ * Load the variant being received, with its SKU and inventory item
+ * @param {object} admin - Shopify admin client
+ * @param {string} variantId - Variant GID
+ * @returns {Promise<{sku: string, itemTitle: string, variant: string, inventoryItemId: string}>}
+ */
+async function getVariantForIntake(admin, variantId) {
+  const response = await admin.graphql(
+    `#graphql
+      query getVariantForIntake($id: ID!) {
+        productVariant(id: $id) {
+          sku
+          title
+          product {
+            title
+          }
+          inventoryItem {
+            id
+          }
+        }
+      }`,
+    { variables: { id: variantId } },
+  );
+  const { data } = await response.json();
+  const variant = data.productVariant;
+
+  if (!variant) {
+    throw new Error("Variant not found");
+  }
+  if (!variant.sku) {
+    throw new Error(`${variant.product.title} – ${variant.title} has no SKU`);
+  }
+
+  return {
+    sku: variant.sku,
+    itemTitle: variant.product.title,
+    variant: variant.title,
+    inventoryItemId: variant.inventoryItem.id,
+  };
+}
+
+/**
+ * Receive stock of a variant: create one subSKU per unit with its weight, add the units to
+ * Shopify's available quantity at the location and write a fully populated Inventory Updates row per unit
+ * @param {object} admin - Shopify admin client
+ * @param {string} shop - Shop domain
+ * @param {{variantId: string, locationId: string|number, count: number, weights: Array<number>, size?: string, supplierName?: string, supplierAddress?: string, note?: string}} intake -
+ *   Variant GID, receiving location ID, number of units, weight in grams of each unit, size of made-to-measure units,
+ *   and the supplier and note for the sheet
+ * @returns {Promise<{sku: string, subSKUs: Array<string>}>} - The created subSKUs
+ */
+export async function receiveStock(
+  admin,
+  shop,
+  { variantId, locationId, count, weights, size = "", supplierName = "", supplierAddress = "", note = "" },
+) {
+  const quantity = parseInt(count);
+
+  if (!variantId) {
+    throw new Error("Choose a product variant");
+  }
+  if (!locationId) {
+    throw new Error("Choose the receiving location");
+  }
+  if (!(quantity > 0 && quantity <= MAX_INTAKE_COUNT)) {
+    throw new Error(`Enter a count between 1 and ${MAX_INTAKE_COUNT}`);
+  }
+  if (weights.length !== quantity || weights.some((weight) => !(weight > 0))) {
+    throw new Error("Enter the weight of every unit in grams");
+  }
+
+  const variant = await getVariantForIntake(admin, variantId);
+  const location = toLocationId(locationId);
+
+  // Shopify first: if it rejects the adjustment nothing has been created yet
+  await adjustShopifyInventory(admin, shop, {
+    inventoryItemId: variant.inventoryItemId,
+    locationId: location,
+    delta: quantity,
+    reason: "received",
+  });
+
+  let subSKUs;
+  try {
+    await createNewSKU(shop, variant.sku, 0);
+    subSKUs = await addSubSKUsToBase(shop, variant.sku, quantity, {
+      locationId: location,
+      weights,
+      size: size.trim() || null,
+    });
+  } catch (error) {
+    await adjustShopifyInventory(admin, shop, {
+      inventoryItemId: variant.inventoryItemId,
+      locationId: location,
+      delta: -quantity,
+      reason: "correction",
+    });
+    throw error;
+  }
+
+  await recordSubSKUEvents(shop, variant.sku, subSKUs, LEDGER_EVENTS.CREATED, {
+    webhookType: "stock_intake",
+    locationId: location,
+  });
+
+  const currentDate = new Date();
+  const dateString = currentDate.toISOString().split("T")[0];
+  const timeString = currentDate.toLocaleTimeString("en-US", {
+    timeZone: "Europe/Paris",
+    hour12: false,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+  await ensureSheetHeader("Inventory Updates");
+  await prependSheetRows(
+    "Inventory Updates",
+    subSKUs.map((subSkuName, index) => [
+      dateString, // Date
+      timeString, // Time (Paris Time Zone)
+      variant.itemTitle, // Item Title
+      variant.sku, // SKU
+      subSkuName, // Sub-SKU
+      variant.variant, // Variant
+      weights[index], // Input Weight (in grams)
+      "Stock Intake", // Input Reason
+      note, // Free Handwritten Note
+      supplierName, // Supplier Name
+      supplierAddress, // Supplier Address
+    ]),
+  );
+
+  console.log(`📦 Received ${quantity} units of ${variant.sku} at location ${location}:`, subSKUs);
+
+  return { sku: variant.sku, subSKUs };
+}
@@ -0,0 +1,111 @@
+import { moveSubSKUsToLocation, toLocationId } from "./helper";
+import { adjustShopifyInventory, getShopLocations, getVariantBySKU } from "./inventorySync.server";
+import { getBaseSKU } from "./subSkuLookup.server";
+import { LEDGER_EVENTS, recordSubSKUEvents } from "./subSkuLedger.server";
+import { ensureSheetHeader, prependSheetRows } from "./sheetSink.server";
+
+/**
+ * Transfer named subSKUs between two locations.
+ * The subSKUs move pools first and the −N/+N adjustments are marked as our own echo, so the
+ * inventory_levels/update webhooks they trigger are skipped; if Shopify rejects an adjustment the move is undone.
+ * @param {object} admin - Shopify admin client
+ * @param {string} shop - Shop domain
+ * @param {{subSKUs: Array<string>, fromLocationId: string|number, toLocationId: string|number, note?: string}} transfer -
+ *   SubSKU names to move, source and destination location IDs, and a note for the Inventory Updates row
+ * @returns {Promise<Array<{sku: string, subSKUs: Array<string>}>>} - Moved subSKUs per base SKU
+ */
+export async function transferSubSKUs(admin, shop, { subSKUs, fromLocationId, toLocationId: destinationId, note = "" }) {
+  const from = toLocationId(fromLocationId);
+  const to = toLocationId(destinationId);
+  const names = [...new Set((subSKUs || []).map((name) => name.trim()).filter(Boolean))];
+
+  if (names.length === 0) {
+    throw new Error("List at least one sub-SKU to transfer");
+  }
+  if (!from || !to || from === to) {
+    throw new Error("Choose two different locations");
+  }
+
+  const locations = await getShopLocations(admin);
+  const locationNames = Object.fromEntries(locations.map((location) => [location.id, location.name]));
+  if (!locationNames[from] || !locationNames[to]) {
+    throw new Error("Unknown location");
+  }
+
+  const groups = {};
+  for (const name of names) {
+    const sku = getBaseSKU(name);
+    if (!sku) {
+      throw new Error(`"${name}" is not a sub-SKU name`);
+    }
+    (groups[sku] ||= []).push(name);
+  }
+
+  const transferred = [];
+  const currentDate = new Date();
+  const dateString = currentDate.toISOString().split("T")[0];
+  const timeString = currentDate.toLocaleTimeString("en-US", {
+    timeZone: "Europe/Paris",
+    hour12: false,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  const transferNote = [`From ${locationNames[from]} to ${locationNames[to]}`, note]
+    .filter(Boolean)
+    .join(", ");
+
+  for (const [sku, skuSubSKUs] of Object.entries(groups)) {
+    const variant = await getVariantBySKU(admin, sku);
+    const adjust = (locationId, delta) =>
+      adjustShopifyInventory(admin, shop, {
+        inventoryItemId: variant.inventoryItemId,
+        locationId,
+        delta,
+        reason: "movement_created",
+      });
+    await moveSubSKUsToLocation(shop, sku, skuSubSKUs, from, to);
+
+    try {
+      await adjust(from, -skuSubSKUs.length);
+      try {
+        await adjust(to, skuSubSKUs.length);
+      } catch (error) {
+        await adjust(from, skuSubSKUs.length);
+        throw error;
+      }
+    } catch (error) {
+      await moveSubSKUsToLocation(shop, sku, skuSubSKUs, to, from);
+      throw new Error(`Shopify rejected the transfer of ${sku}: ${error.message}`);
+    }
+
+    await recordSubSKUEvents(shop, sku, skuSubSKUs, LEDGER_EVENTS.TRANSFERRED, {
+      fromLocationId: from,
+      locationId: to,
+    });
+
+    // Written per SKU, so SKUs already moved are logged even if a later one fails
+    await ensureSheetHeader("Inventory Updates");
+    await prependSheetRows(
+      "Inventory Updates",
+      skuSubSKUs.map((subSkuName) => [
+        dateString, // Date
+        timeString, // Time (Paris Time Zone)
+        variant.itemTitle, // Item Title
+        sku, // SKU
+        subSkuName, // Sub-SKU
+        variant.variant, // Variant
+        "", // Input Weight
+        "Transfer", // Input Reason
+        transferNote, // Free Handwritten Note
+        "", // Supplier Name
+        "", // Supplier Address
+      ]),
+    );
+
+    transferred.push({ sku, subSKUs: skuSubSKUs });
+    console.log(`🚚 Transferred ${skuSubSKUs.length} subSKUs of ${sku} from ${from} to ${to}`);
+  }
+
+  return transferred;
+}
@@ -0,0 +1,38 @@
+import db from "../db.server";
+import { normalizeStatus, SHOPIFY_STOCK_STATUSES } from "./subSkuStatus.server";
+
+/**
+ * Total the measured weight of the subSKUs that are in stock
+ * @param {Array<Object>} subSKUs - SubSKUs of a base SKU
+ * @returns {{inStock: number, weighed: number, totalGrams: number}} - Units in stock, how many of them
+ *   have a measured weight, and the sum of those weights in grams
+ */
+export function summarizeStockWeight(subSKUs) {
+  const inStock = (subSKUs || []).filter((subSku) =>
+    SHOPIFY_STOCK_STATUSES.includes(normalizeStatus(subSku.status)),
+  );
+  const weighed = inStock.filter((subSku) => subSku.weight != null);
+
+  return {
+    inStock: inStock.length,
+    weighed: weighed.length,
+    totalGrams: weighed.reduce((total, subSku) => total + subSku.weight, 0),
+  };
+}
+
+/**
+ * Grams in stock per SKU for the admin stock weight report
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array<{sku: string, inStock: number, weighed: number, totalGrams: number}>>} - SKUs with stock, by SKU
+ */
+export async function getStockWeightReport(shop) {
+  const skus = await db.SKU.findMany({
+    where: { shop },
+    select: { sku: true, subSKU: true },
+  });
+
+  return skus
+    .map((sku) => ({ sku: sku.sku, ...summarizeStockWeight(sku.subSKU) }))
+    .filter((row) => row.inStock > 0)
+    .sort((a, b) => a.sku.localeCompare(b.sku, undefined, { numeric: true }));
+}
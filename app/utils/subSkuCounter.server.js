@@ -0,0 +1,102 @@
+import db from "../db.server";
+import { LEDGER_EVENTS } from "./subSkuLedger.server";
+
+/**
+ * Get the numeric suffix of a subSKU name ("SKU-0001" -> 1)
+ * @param {string} name - The subSKU name
+ * @returns {number}
+ */
+export function getSubSKUNumber(name) {
+  return parseInt(name?.split("-").pop() || "0") || 0;
+}
+
+/**
+ * Build a subSKU name from its base SKU and number ("SKU", 1 -> "SKU-0001")
+ * @param {string} baseSku - The base SKU
+ * @param {number} number - The subSKU number
+ * @returns {string}
+ */
+export function formatSubSKUName(baseSku, number) {
+  return `${baseSku}-${String(number).padStart(4, "0")}`;
+}
+
+/**
+ * Highest subSKU number a SKU handed out before it had a counter: in its pool, in the ledger
+ * (units removed from the pool keep their number) and in the legacy per-variant latestSubSkuNumber
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {Array<Object>} subSKUs - The SKU's current pool
+ * @returns {Promise<number>}
+ */
+async function getHighestIssuedNumber(shop, baseSku, subSKUs) {
+  const [createdEvents, products] = await Promise.all([
+    db.SubSKUEvent.findMany({
+      where: { shop, sku: baseSku, event: LEDGER_EVENTS.CREATED },
+      select: { subSKU: true },
+    }),
+    // Raw query to match inside the variants array and only return the matching variant
+    db.Product.findRaw({
+      filter: { shop, "variants.sku": baseSku },
+      options: { projection: { "variants.$": 1 } },
+    }),
+  ]);
+
+  const legacyNumbers = products.map((product) => product.variants?.[0]?.latestSubSkuNumber || 0);
+
+  return Math.max(
+    0,
+    ...subSKUs.map((subSku) => getSubSKUNumber(subSku?.name)),
+    ...createdEvents.map((event) => getSubSKUNumber(event.subSKU)),
+    ...legacyNumbers,
+  );
+}
+
+/**
+ * Issue the next subSKU names of a SKU from its persisted counter.
+ * The counter is incremented atomically in the database, so concurrent callers, with or without
+ * the SKU lock, never get the same number, and numbers of sold or removed units are never reused.
+ * The SKU document is created (with an empty pool) if it doesn't exist yet, and a SKU without a
+ * counter starts from the highest number it has ever issued. The names aren't added to the pool,
+ * that is up to the caller.
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} baseSku - The base SKU
+ * @param {number} quantity - Number of names to issue
+ * @returns {Promise<Array<string>>} - The new subSKU names, in order
+ */
+export async function issueSubSKUNames(shop, baseSku, quantity) {
+  if (quantity <= 0) return [];
+
+  const sku = await db.SKU.findUnique({
+    where: { shop_sku: { shop, sku: baseSku } },
+    select: { subSKU: true, subSkuCounter: true },
+  });
+
+  if (sku?.subSkuCounter == null) {
+    const highestNumber = await getHighestIssuedNumber(shop, baseSku, sku?.subSKU || []);
+    // Create and seed in one atomic upsert: $max leaves a counter another caller already seeded
+    // or incremented alone, so racing callers can't lower it or both create the document
+    await db.$runCommandRaw({
+      update: "SKU",
+      updates: [
+        {
+          q: { shop, sku: baseSku },
+          u: {
+            $max: { subSkuCounter: highestNumber },
+            $setOnInsert: { subSKU: [] },
+          },
+          upsert: true,
+        },
+      ],
+    });
+  }
+
+  const { subSkuCounter } = await db.SKU.update({
+    where: { shop_sku: { shop, sku: baseSku } },
+    data: { subSkuCounter: { increment: quantity } },
+    select: { subSkuCounter: true },
+  });
+
+  return Array.from({ length: quantity }, (_, i) =>
+    formatSubSKUName(baseSku, subSkuCounter - quantity + i + 1),
+  );
+}
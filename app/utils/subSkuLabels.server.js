@@ -0,0 +1,144 @@
+import db from "../db.server";
+import { getVariantBySKU } from "./inventorySync.server";
+import { getBaseSKU } from "./subSkuLookup.server";
+import { normalizeStatus, SUB_SKU_STATUSES } from "./subSkuStatus.server";
+
+export const LABEL_SYMBOLOGIES = {
+  CODE128: "code128",
+  QR: "qr",
+};
+
+const MAX_LABELS = 500;
+
+/**
+ * Escape a value for a ZPL ^FH field: "_" starts a hex escape, "^" and "~" are commands
+ * @param {string|number} value - Text to print
+ * @returns {string}
+ */
+function escapeZPL(value) {
+  return String(value ?? "")
+    .replace(/_/g, "_5F")
+    .replace(/\^/g, "_5E")
+    .replace(/~/g, "_7E");
+}
+
+/**
+ * Render one 2" x 1" label (203 dpi) for a subSKU
+ * @param {{name: string, itemTitle: string, variant: string, size: string|null, weight: number|null}} label - What to print
+ * @param {string} symbology - One of LABEL_SYMBOLOGIES
+ * @returns {string} - ZPL for the label
+ */
+function renderLabel(label, symbology) {
+  const details = [label.variant, label.size, label.weight != null ? `${label.weight} g` : null]
+    .filter(Boolean)
+    .join(" · ");
+  const code =
+    symbology === LABEL_SYMBOLOGIES.QR
+      ? [
+          `^FO20,62^BQN,2,4^FH^FDQA,${escapeZPL(label.name)}^FS`,
+          `^FO170,110^A0N,30,30^FH^FD${escapeZPL(label.name)}^FS`,
+        ]
+      : [
+          // Narrower bars for long names so the barcode stays on the label
+          `^FO20,70^BY${label.name.length > 12 ? 1 : 2}^BCN,80,Y,N,N^FH^FD${escapeZPL(label.name)}^FS`,
+        ];
+
+  return [
+    "^XA",
+    "^CI28",
+    "^PW406",
+    "^LL203",
+    `^FO20,15^A0N,22,22^FB366,1,0,L^FH^FD${escapeZPL(label.itemTitle)}^FS`,
+    `^FO20,40^A0N,20,20^FB366,1,0,L^FH^FD${escapeZPL(details)}^FS`,
+    ...code,
+    "^XZ",
+  ].join("\n");
+}
+
+/**
+ * Render a printable ZPL sheet, one label per subSKU
+ * @param {Array<{name: string, itemTitle: string, variant: string, size: string|null, weight: number|null}>} labels - Labels to print
+ * @param {string} [symbology] - One of LABEL_SYMBOLOGIES, Code128 by default
+ * @returns {string} - ZPL for all labels
+ */
+export function renderLabelsZPL(labels, symbology = LABEL_SYMBOLOGIES.CODE128) {
+  return labels.map((label) => renderLabel(label, symbology)).join("\n") + "\n";
+}
+
+/**
+ * Collect what to print for a selection of subSKUs: either the named units, or every available unit of a SKU
+ * @param {object} admin - Shopify admin client
+ * @param {string} shop - Shop domain
+ * @param {{sku?: string, subSKUs?: Array<string>}} selection - A base SKU, or subSKU names
+ * @returns {Promise<Array<{name: string, sku: string, itemTitle: string, variant: string, size: string|null, weight: number|null}>>}
+ * @throws {Error} - If the selection is empty, too large or names unknown subSKUs
+ */
+export async function getSubSKULabels(admin, shop, { sku, subSKUs = [] }) {
+  const names = [...new Set(subSKUs.map((name) => name.trim()).filter(Boolean))];
+  const units = [];
+
+  if (names.length > 0) {
+    const byBase = {};
+    for (const name of names) {
+      const baseSku = getBaseSKU(name);
+      if (!baseSku) {
+        throw new Error(`${name} is not a sub-SKU`);
+      }
+      (byBase[baseSku] ||= []).push(name);
+    }
+
+    for (const [baseSku, baseNames] of Object.entries(byBase)) {
+      const record = await db.SKU.findUnique({
+        where: { shop_sku: { shop, sku: baseSku } },
+      });
+      for (const name of baseNames) {
+        const subSku = record?.subSKU?.find((s) => s.name === name);
+        if (!subSku) {
+          throw new Error(`SubSKU ${name} not found`);
+        }
+        units.push({ baseSku, ...subSku });
+      }
+    }
+  } else if (sku) {
+    const record = await db.SKU.findUnique({
+      where: { shop_sku: { shop, sku } },
+    });
+    if (!record) {
+      throw new Error(`SKU ${sku} not found`);
+    }
+    (record.subSKU || [])
+      .filter((subSku) => normalizeStatus(subSku.status) === SUB_SKU_STATUSES.AVAILABLE)
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+      .forEach((subSku) => units.push({ baseSku: sku, ...subSku }));
+  } else {
+    throw new Error("Choose a SKU or sub-SKUs to print");
+  }
+
+  if (units.length === 0) {
+    throw new Error("No sub-SKUs to print");
+  }
+  if (units.length > MAX_LABELS) {
+    throw new Error(`Print at most ${MAX_LABELS} labels at once`);
+  }
+
+  const variants = {};
+  for (const baseSku of new Set(units.map((unit) => unit.baseSku))) {
+    try {
+      variants[baseSku] = await getVariantBySKU(admin, baseSku);
+    } catch (error) {
+      // A deleted or renamed variant shouldn't stop the rest of the sheet, its labels show the SKU instead
+      console.error(`⚠️ No variant details for ${baseSku} labels:`, error.message);
+      variants[baseSku] = { itemTitle: baseSku, variant: "" };
+    }
+  }
+
+  return units.map((unit) => ({
+    name: unit.name,
+    sku: unit.baseSku,
+    itemTitle: variants[unit.baseSku].itemTitle,
+    // Single-variant products are titled "Default Title", which means nothing on a label
+    variant: variants[unit.baseSku].variant === "Default Title" ? "" : variants[unit.baseSku].variant,
+    size: unit.size || null,
+    weight: unit.weight ?? null,
+  }));
+}
@@ -0,0 +1,89 @@
+import db from "../db.server";
+
+// Every transition a sub-SKU can go through, recorded append-only in SubSKUEvent
+export const LEDGER_EVENTS = {
+  CREATED: "created",
+  ASSIGNED: "assigned",
+  RELEASED: "released",
+  REMOVED: "removed",
+  SHIPPED: "shipped",
+  STATUS_CHANGED: "status_changed",
+  TRANSFERRED: "transferred",
+};
+
+/**
+ * Append one ledger event per subSKU
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} sku - The base SKU
+ * @param {Array<string>} subSkuNames - SubSKU names the event applies to
+ * @param {string} event - One of LEDGER_EVENTS
+ * @param {{orderId?: string|number, lineItemId?: string|number, webhookType?: string, fulfillmentId?: string|number, trackingNumbers?: Array<string>, status?: string, locationId?: string|number, fromLocationId?: string|number}} [context] -
+ *   Order, webhook and fulfillment the event came from, the new status for manual status changes,
+ *   the Shopify location the unit was restocked at or transferred to, and the location a transfer left
+ * @returns {Promise<number>} - Number of events written
+ */
+export async function recordSubSKUEvents(shop, sku, subSkuNames, event, context = {}) {
+  const names = Array.isArray(subSkuNames) ? subSkuNames : [subSkuNames];
+  if (names.length === 0) return 0;
+
+  try {
+    const { count } = await db.SubSKUEvent.createMany({
+      data: names.map((subSKU) => ({
+        shop,
+        sku,
+        subSKU,
+        event,
+        orderId: context.orderId != null ? String(context.orderId) : null,
+        lineItemId: context.lineItemId != null ? String(context.lineItemId) : null,
+        webhookType: context.webhookType || null,
+        fulfillmentId: context.fulfillmentId != null ? String(context.fulfillmentId) : null,
+        trackingNumbers: context.trackingNumbers || [],
+        status: context.status || null,
+        locationId: context.locationId != null ? String(context.locationId) : null,
+        fromLocationId: context.fromLocationId != null ? String(context.fromLocationId) : null,
+      })),
+    });
+
+    console.log(`📒 Recorded ${count} "${event}" ledger event(s) for ${sku}`);
+    return count;
+  } catch (error) {
+    // The pool update already happened, so a ledger failure is logged rather than failing the job
+    console.error(`❌ Error recording "${event}" ledger events for ${sku}:`, {
+      subSkuNames: names,
+      error: error.message,
+    });
+    return 0;
+  }
+}
+
+/**
+ * Get the full event history of a single subSKU, oldest first
+ * @param {string} shop - Shop domain the SKU belongs to
+ * @param {string} subSkuName - The subSKU name, e.g. "ABC-0042"
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getSubSKUHistory(shop, subSkuName) {
+  return db.SubSKUEvent.findMany({
+    where: { shop, subSKU: subSkuName },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Check whether the subSKUs of a fulfillment, or of one of its line items, have already been marked as shipped
+ * @param {string} shop - Shop domain
+ * @param {string|number} fulfillmentId - Shopify fulfillment ID
+ * @param {string|number} [lineItemId] - Only check this line item of the fulfillment
+ * @returns {Promise<boolean>}
+ */
+export async function isFulfillmentRecorded(shop, fulfillmentId, lineItemId = null) {
+  const event = await db.SubSKUEvent.findFirst({
+    where: {
+      shop,
+      fulfillmentId: String(fulfillmentId),
+      event: LEDGER_EVENTS.SHIPPED,
+      ...(lineItemId != null && { lineItemId: String(lineItemId) }),
+    },
+  });
+  return Boolean(event);
+}
@@ -0,0 +1,158 @@
+import db from "../db.server";
+import { readSheetRows } from "./sheetSink.server";
+import { getSubSKUHistory, LEDGER_EVENTS } from "./subSkuLedger.server";
+import { ORDER_SHEET_SUB_SKU_COLUMN } from "./orderSheet.server";
+import { summarizeStockWeight } from "./stockWeight.server";
+import {
+  getAllowedTransitions,
+  normalizeStatus,
+  SUB_SKU_STATUSES,
+} from "./subSkuStatus.server";
+
+// Column position of the Sub-SKU in the Inventory Updates tab
+const INVENTORY_UPDATES_SUB_SKU_COLUMN = 4;
+
+/**
+ * Derive the base SKU from a subSKU name ("ABC-0042" -> "ABC")
+ * @param {string} subSkuName - The subSKU name
+ * @returns {string|null} - The base SKU, or null if the name has no numeric suffix
+ */
+export function getBaseSKU(subSkuName) {
+  const match = subSkuName.match(/^(.+)-\d+$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read the rows of a sheet tab matching a subSKU
+ * @param {string} sheetName - Sheet tab name
+ * @param {number} column - Zero-based column holding the subSKU
+ * @param {string} subSkuName - The subSKU name
+ * @returns {Promise<{header: Array<string>, rows: Array<Array<string>>, error?: string}>}
+ */
+async function getSheetRowsForSubSKU(sheetName, column, subSkuName) {
+  try {
+    const [header = [], ...rows] = await readSheetRows(sheetName);
+    return {
+      header,
+      rows: rows.filter((row) => row[column] === subSkuName),
+    };
+  } catch (error) {
+    console.error(`Error reading ${sheetName} rows for ${subSkuName}:`, error);
+    return { header: [], rows: [], error: error.message };
+  }
+}
+
+/**
+ * Read back the order a subSKU is assigned to from its sku_tracking.assigned_subskus metafield
+ * @param {object} admin - Shopify admin client
+ * @param {string} orderId - Shopify order ID from the ledger
+ * @param {string} subSkuName - The subSKU name
+ * @returns {Promise<{id: string, name: string, lineItemId: string}|null>}
+ */
+async function getAssignedOrder(admin, orderId, subSkuName) {
+  const response = await admin.graphql(
+    `#graphql
+      query getAssignedOrder($id: ID!) {
+        order(id: $id) {
+          id
+          name
+          metafield(namespace: "sku_tracking", key: "assigned_subskus") {
+            value
+          }
+        }
+      }`,
+    { variables: { id: `gid://shopify/Order/${orderId}` } },
+  );
+  const { data } = await response.json();
+  const order = data?.order;
+  if (!order?.metafield?.value) return null;
+
+  const assignments = JSON.parse(order.metafield.value);
+  const lineItemId = Object.keys(assignments).find((key) =>
+    (assignments[key] || []).includes(subSkuName),
+  );
+  if (!lineItemId) return null;
+
+  return { id: String(orderId), name: order.name, lineItemId };
+}
+
+/**
+ * Look up a base SKU or a single subSKU for the admin lookup page
+ * @param {object} admin - Shopify admin client
+ * @param {string} shop - Shop domain
+ * @param {string} query - A base SKU or a subSKU name
+ * @returns {Promise<Object>} - `{ type: "sku" }`, `{ type: "subSku" }` or `{ type: "notFound" }` result
+ */
+export async function lookupSKU(admin, shop, query) {
+  const skuRecord = await db.SKU.findUnique({
+    where: { shop_sku: { shop, sku: query } },
+  });
+
+  if (skuRecord) {
+    const subSKUs = (skuRecord.subSKU || [])
+      .map((subSku) => ({ ...subSku, status: normalizeStatus(subSku.status) }))
+      .sort((a, b) =>
+        (a.name || "").localeCompare(b.name || "", undefined, { numeric: true }),
+      );
+    return {
+      type: "sku",
+      sku: skuRecord.sku,
+      subSKUs,
+      totalQuantity: subSKUs.length,
+      availableQuantity: subSKUs.filter((s) => s.status === SUB_SKU_STATUSES.AVAILABLE).length,
+      stockWeight: summarizeStockWeight(subSKUs),
+    };
+  }
+
+  const baseSku = getBaseSKU(query);
+  const baseRecord = baseSku
+    ? await db.SKU.findUnique({ where: { shop_sku: { shop, sku: baseSku } } })
+    : null;
+  const subSku = baseRecord?.subSKU?.find((s) => s.name === query);
+  const history = await getSubSKUHistory(shop, query);
+
+  if (!subSku && history.length === 0) {
+    return { type: "notFound", query };
+  }
+
+  // The most recent assignment in the ledger tells us which order to read back
+  const lastAssignment = [...history]
+    .reverse()
+    .find((event) => event.event === LEDGER_EVENTS.ASSIGNED && event.orderId);
+
+  let order = null;
+  if (subSku && subSku.status !== SUB_SKU_STATUSES.AVAILABLE && lastAssignment) {
+    try {
+      order = await getAssignedOrder(admin, lastAssignment.orderId, query);
+    } catch (error) {
+      console.error(`Error reading assigned order for ${query}:`, error);
+    }
+  }
+
+  const [orderRows, inventoryRows] = await Promise.all([
+    getSheetRowsForSubSKU("Orders", ORDER_SHEET_SUB_SKU_COLUMN, query),
+    getSheetRowsForSubSKU(
+      "Inventory Updates",
+      INVENTORY_UPDATES_SUB_SKU_COLUMN,
+      query,
+    ),
+  ]);
+
+  return {
+    type: "subSku",
+    name: query,
+    sku: baseSku,
+    status: subSku ? normalizeStatus(subSku.status) : "removed",
+    locationId: subSku?.locationId || null,
+    weight: subSku?.weight ?? null,
+    size: subSku?.size || null,
+    allowedStatuses: subSku ? getAllowedTransitions(subSku.status) : [],
+    order,
+    history: history.map((event) => ({
+      ...event,
+      createdAt: event.createdAt.toISOString(),
+    })),
+    orderRows,
+    inventoryRows,
+  };
+}
@@ -0,0 +1,335 @@
+import db from "../db.server";
+import {
+  getSubSKUWeights,
+  getVariantWeightInGrams,
+  reserveSubSKUs,
+  swapSubSKUs,
+  updateSubSKUStatus,
+} from "./helper";
+import { LEDGER_EVENTS, recordSubSKUEvents } from "./subSkuLedger.server";
+import { ORDER_REASONS, writeOrderMovements } from "./orderSheet.server";
+import {
+  clearHeldOrderTag,
+  HOLD_REASONS,
+  reopenHeldLineItem,
+  resolveHeldLineItem,
+} from "./heldLineItems.server";
+import { getBaseSKU } from "./subSkuLookup.server";
+import { SUB_SKU_STATUSES } from "./subSkuStatus.server";
+
+/**
+ * Load an order with its customer, line items and assigned subSKUs
+ * @param {object} admin - Shopify admin client
+ * @param {string} orderId - Shopify order ID
+ * @returns {Promise<Object>} - The order and its assignments per line item ID
+ * @throws {Error} - If the order doesn't exist
+ */
+async function getOrderForReassignment(admin, orderId) {
+  const response = await admin.graphql(
+    `#graphql
+      query getOrderForReassignment($id: ID!) {
+        order(id: $id) {
+          id
+          name
+          customer {
+            firstName
+            lastName
+            email
+            phone
+          }
+          metafield(namespace: "sku_tracking", key: "assigned_subskus") {
+            value
+          }
+          lineItems(first: 100) {
+            nodes {
+              id
+              title
+              sku
+              variantTitle
+              variant {
+                id
+              }
+            }
+          }
+        }
+      }`,
+    { variables: { id: `gid://shopify/Order/${orderId}` } },
+  );
+  const { data } = await response.json();
+
+  if (!data?.order) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+
+  return {
+    ...data.order,
+    assignments: data.order.metafield?.value ? JSON.parse(data.order.metafield.value) : {},
+  };
+}
+
+/**
+ * Write the order's sku_tracking.assigned_subskus metafield
+ * @param {object} admin - Shopify admin client
+ * @param {string} orderId - Shopify order ID
+ * @param {Object<string, Array<string>>} assignments - SubSKU names per line item ID
+ * @throws {Error} - If Shopify rejects the metafield
+ */
+async function setOrderAssignments(admin, orderId, assignments) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation setOrderAssignments($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    {
+      variables: {
+        metafields: [
+          {
+            ownerId: `gid://shopify/Order/${orderId}`,
+            namespace: "sku_tracking",
+            key: "assigned_subskus",
+            type: "json",
+            value: JSON.stringify(assignments),
+          },
+        ],
+      },
+    },
+  );
+  const { data, errors } = await response.json();
+  const userErrors = errors || data?.metafieldsSet?.userErrors || [];
+
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map((error) => error.message).join(", "));
+  }
+}
+
+/**
+ * Fields shared by every Orders sheet row of an order line item
+ * @param {Object} order - Order from getOrderForReassignment
+ * @param {Object} lineItem - One of its line items
+ * @returns {Object} - Partial movement for writeOrderMovements
+ */
+function getOrderMovement(order, lineItem) {
+  return {
+    date: new Date(),
+    invoiceNumber: order.name,
+    itemTitle: lineItem.title,
+    sku: lineItem.sku,
+    variant: lineItem.variantTitle || "",
+    customerName: `${order.customer?.firstName || ""} ${order.customer?.lastName || ""}`.trim(),
+    email: order.customer?.email || "",
+    phone: order.customer?.phone || "",
+  };
+}
+
+/**
+ * Check a subSKU scanned while packing against the units assigned to the order.
+ * On a mismatch, the line item of the scanned unit's SKU is returned with its assigned units,
+ * any of which can be reassigned to the scanned unit with reassignSubSKU.
+ * @param {{lineItems: Array<{id: string, sku: string, subSKUs: Array<string>}>}} order - Order with its assigned subSKUs per line item
+ * @param {string} scanned - The scanned subSKU name
+ * @returns {{subSKU: string, match: boolean, lineItemId: string|null, candidates: Array<string>}} - lineItemId is null when the SKU isn't on the order
+ */
+export function verifyScannedSubSKU(order, scanned) {
+  const subSKU = scanned.trim();
+  const assignedTo = order.lineItems.find((lineItem) => lineItem.subSKUs.includes(subSKU));
+
+  if (assignedTo) {
+    return { subSKU, match: true, lineItemId: assignedTo.id, candidates: [] };
+  }
+
+  const baseSku = getBaseSKU(subSKU);
+  const sameSku = order.lineItems.find((lineItem) => baseSku && lineItem.sku === baseSku);
+
+  return {
+    subSKU,
+    match: false,
+    lineItemId: sameSku?.id || null,
+    candidates: sameSku?.subSKUs || [],
+  };
+}
+
+/**
+ * Swap a subSKU assigned to an order line item for another available unit of the same SKU.
+ * The old unit goes back to available, the new one is reserved for the order in its place,
+ * the assigned_subskus metafield is rewritten and a pair of "Reassignment" rows is written to the Orders sheet.
+ * @param {object} admin - Shopify admin client
+ * @param {object} session - Shopify session, for the variant weight
+ * @param {{orderId: string|number, lineItemId: string|number, subSKU: string, replacement?: string, note?: string}} reassignment -
+ *   Order and line item IDs, the assigned subSKU to free, the subSKU to assign instead (the next available one by default) and a note for the sheet
+ * @returns {Promise<{sku: string, released: string, assigned: string}>}
+ * @throws {Error} - If the subSKU isn't assigned to the line item or no replacement is available
+ */
+export async function reassignSubSKU(admin, session, { orderId, lineItemId, subSKU, replacement, note = "" }) {
+  if (!orderId || !lineItemId || !subSKU) {
+    throw new Error("Choose an order line item and the sub-SKU to replace");
+  }
+
+  const shop = session.shop;
+  const order = await getOrderForReassignment(admin, orderId);
+  const lineItemKey = String(lineItemId);
+  const lineItem = order.lineItems.nodes.find(
+    (item) => item.id.split("/").pop() === lineItemKey,
+  );
+  const assigned = order.assignments[lineItemKey] || [];
+
+  if (!lineItem?.sku) {
+    throw new Error(`Line item ${lineItemKey} not found on ${order.name}`);
+  }
+  if (!assigned.includes(subSKU)) {
+    throw new Error(`${subSKU} is not assigned to line item ${lineItemKey} on ${order.name}`);
+  }
+
+  const sku = lineItem.sku;
+  const weightInGrams = lineItem.variant
+    ? await getVariantWeightInGrams(session, lineItem.variant.id)
+    : null;
+  const newSubSKU = await swapSubSKUs(shop, sku, subSKU, replacement || null, {
+    targetWeight: weightInGrams,
+  });
+
+  try {
+    await setOrderAssignments(admin, orderId, {
+      ...order.assignments,
+      [lineItemKey]: assigned.map((name) => (name === subSKU ? newSubSKU : name)),
+    });
+  } catch (error) {
+    // The order still points at the old unit, put the pool back the way it was
+    await swapSubSKUs(shop, sku, newSubSKU, subSKU);
+    throw error;
+  }
+
+  const context = { orderId: String(orderId), lineItemId: lineItemKey, webhookType: "reassignment" };
+  await recordSubSKUEvents(shop, sku, [subSKU], LEDGER_EVENTS.RELEASED, context);
+  await recordSubSKUEvents(shop, sku, [newSubSKU], LEDGER_EVENTS.ASSIGNED, context);
+
+  const subSkuWeights = await getSubSKUWeights(shop, sku, [subSKU, newSubSKU]);
+  const movement = getOrderMovement(order, lineItem);
+
+  await writeOrderMovements([
+    {
+      ...movement,
+      subSku: subSKU,
+      weight: subSkuWeights[subSKU] ?? weightInGrams,
+      reason: ORDER_REASONS.REASSIGNMENT_RELEASED,
+      note: [`Replaced by ${newSubSKU}`, note].filter(Boolean).join(" - "),
+    },
+    {
+      ...movement,
+      subSku: newSubSKU,
+      weight: subSkuWeights[newSubSKU] ?? weightInGrams,
+      reason: ORDER_REASONS.REASSIGNMENT_ASSIGNED,
+      note: [`Replaces ${subSKU}`, note].filter(Boolean).join(" - "),
+    },
+  ]);
+
+  console.log(`🔀 Reassigned ${order.name} line item ${lineItemKey}: ${subSKU} -> ${newSubSKU}`);
+
+  return { sku, released: subSKU, assigned: newSubSKU };
+}
+
+/**
+ * Assign subSKUs to a held line item, either the ones staff picked or, once stock has arrived,
+ * the ones the allocation strategy hands out next. The units are reserved, appended to the
+ * assigned_subskus metafield and written to the Orders sheet as the placed or added rows the
+ * held line item never got.
+ * @param {object} admin - Shopify admin client
+ * @param {object} session - Shopify session, for the variant weight and the order tag
+ * @param {string} heldId - Held line item ID
+ * @param {Array<string>} subSkuNames - The subSKUs to assign, one per unit of the line item, or none to allocate from stock
+ * @returns {Promise<{sku: string, assigned: Array<string>}>}
+ * @throws {Error} - If the line item is no longer held or not enough subSKUs are available
+ */
+export async function assignHeldLineItem(admin, session, heldId, subSkuNames) {
+  const shop = session.shop;
+  const names = [...new Set(subSkuNames.map((name) => name.trim()).filter(Boolean))];
+  const held = await db.HeldLineItem.findFirst({ where: { id: heldId, shop } });
+
+  if (!held || held.resolvedAt) {
+    throw new Error("This line item is no longer waiting for sub-SKUs");
+  }
+  if (names.length > 0 && names.length !== held.quantity) {
+    throw new Error(`Choose exactly ${held.quantity} ${held.sku} sub-SKUs`);
+  }
+  if (!(await resolveHeldLineItem(shop, heldId))) {
+    throw new Error("This line item is no longer waiting for sub-SKUs");
+  }
+
+  let order;
+  let lineItem;
+  let weightInGrams;
+  let assigned;
+  try {
+    order = await getOrderForReassignment(admin, held.orderId);
+    lineItem = order.lineItems.nodes.find((item) => item.id.split("/").pop() === held.lineItemId);
+    weightInGrams = lineItem?.variant
+      ? await getVariantWeightInGrams(session, lineItem.variant.id)
+      : null;
+
+    const { reserved, held: stillHeld, holdReason } = await reserveSubSKUs(
+      shop,
+      held.sku,
+      held.quantity,
+      names.length > 0
+        ? { subSkuNames: names, locationId: held.locationId }
+        : { locationId: held.locationId, size: held.size, targetWeight: weightInGrams },
+    );
+    if (stillHeld) {
+      throw new Error(
+        holdReason === HOLD_REASONS.SIZE_UNAVAILABLE
+          ? `Not enough ${held.sku} sub-SKUs of size ${held.size} are available`
+          : `Choose the ${held.sku} sub-SKUs to assign`,
+      );
+    }
+    if (reserved.length !== held.quantity) {
+      const where = held.locationId ? ` at location ${held.locationId}` : "";
+      throw new Error(
+        names.length > 0
+          ? `Not all of ${names.join(", ")} are available${where}`
+          : `Only ${reserved.length} of ${held.quantity} ${held.sku} sub-SKUs are available${where}`,
+      );
+    }
+    assigned = reserved;
+
+    try {
+      await setOrderAssignments(admin, held.orderId, {
+        ...order.assignments,
+        [held.lineItemId]: [...(order.assignments[held.lineItemId] || []), ...assigned],
+      });
+    } catch (error) {
+      await updateSubSKUStatus(shop, held.sku, assigned, SUB_SKU_STATUSES.AVAILABLE);
+      throw error;
+    }
+  } catch (error) {
+    await reopenHeldLineItem(shop, heldId);
+    throw error;
+  }
+
+  await clearHeldOrderTag(session, held.orderId);
+  await recordSubSKUEvents(shop, held.sku, assigned, LEDGER_EVENTS.ASSIGNED, {
+    orderId: held.orderId,
+    lineItemId: held.lineItemId,
+    webhookType: "manual_assignment",
+  });
+
+  const subSkuWeights = await getSubSKUWeights(shop, held.sku, assigned);
+  const movement = getOrderMovement(order, lineItem || { title: "", sku: held.sku });
+
+  await writeOrderMovements(
+    assigned.map((name) => ({
+      ...movement,
+      subSku: name,
+      weight: subSkuWeights[name] ?? weightInGrams,
+      reason: held.webhookType === "order_edited" ? ORDER_REASONS.EDIT_ADDITION : ORDER_REASONS.PLACED,
+      note: names.length > 0 ? "Assigned manually" : "Allocated after stock arrived",
+    })),
+  );
+
+  console.log(`✅ Assigned held ${order.name} line item ${held.lineItemId}:`, assigned);
+
+  return { sku: held.sku, assigned };
+}
@@ -0,0 +1,86 @@
+// Every status a sub-SKU can be in
+export const SUB_SKU_STATUSES = {
+  AVAILABLE: "available",
+  RESERVED: "reserved",
+  SOLD: "sold",
+  SHIPPED: "shipped",
+  RETURNED_PENDING_INSPECTION: "returned_pending_inspection",
+  DAMAGED: "damaged",
+  LOST: "lost",
+  WRITTEN_OFF: "written_off",
+};
+
+const {
+  AVAILABLE,
+  RESERVED,
+  SOLD,
+  SHIPPED,
+  RETURNED_PENDING_INSPECTION,
+  DAMAGED,
+  LOST,
+  WRITTEN_OFF,
+} = SUB_SKU_STATUSES;
+
+// Statuses each status may move to
+const ALLOWED_TRANSITIONS = {
+  [AVAILABLE]: [RESERVED, SOLD, DAMAGED, LOST, WRITTEN_OFF],
+  [RESERVED]: [AVAILABLE, SOLD, DAMAGED, LOST],
+  [SOLD]: [AVAILABLE, SHIPPED, RETURNED_PENDING_INSPECTION, DAMAGED, LOST],
+  [SHIPPED]: [RETURNED_PENDING_INSPECTION, LOST],
+  [RETURNED_PENDING_INSPECTION]: [AVAILABLE, DAMAGED, WRITTEN_OFF],
+  [DAMAGED]: [AVAILABLE, WRITTEN_OFF],
+  [LOST]: [AVAILABLE, WRITTEN_OFF],
+  [WRITTEN_OFF]: [],
+};
+
+// Units Shopify still counts as on hand and sellable, used when reconciling quantities
+export const SHOPIFY_STOCK_STATUSES = [AVAILABLE, RETURNED_PENDING_INSPECTION];
+
+/**
+ * Map legacy statuses onto the state machine ("unavailable" was written for sold units)
+ * @param {string} status - Status as stored on the subSKU
+ * @returns {string}
+ */
+export function normalizeStatus(status) {
+  return status === "unavailable" ? SOLD : status;
+}
+
+/**
+ * Statuses a subSKU in the given status may move to
+ * @param {string} status - Current status
+ * @returns {Array<string>}
+ */
+export function getAllowedTransitions(status) {
+  return ALLOWED_TRANSITIONS[normalizeStatus(status)] || [];
+}
+
+/**
+ * Check whether a subSKU may move from one status to another. Setting the current status again is a no-op.
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  if (normalizeStatus(from) === to) return true;
+  return getAllowedTransitions(from).includes(to);
+}
+
+/**
+ * Throw if any subSKU may not move to the new status
+ * @param {Array<{name: string, status: string}>} subSKUs - SubSKUs with their current status
+ * @param {string} newStatus - The new status
+ */
+export function assertTransitions(subSKUs, newStatus) {
+  if (!Object.values(SUB_SKU_STATUSES).includes(newStatus)) {
+    throw new Error(`Unknown subSKU status "${newStatus}"`);
+  }
+
+  const illegal = subSKUs.filter((subSku) => !canTransition(subSku.status, newStatus));
+  if (illegal.length > 0) {
+    throw new Error(
+      `Illegal subSKU status transition: ${illegal
+        .map((subSku) => `${subSku.name} ${normalizeStatus(subSku.status)} -> ${newStatus}`)
+        .join(", ")}`,
+    );
+  }
+}
@@ -0,0 +1,80 @@
+import db from "../db.server";
+
+const STATUS_PROCESSING = "processing";
+const STATUS_PROCESSED = "processed";
+const STATUS_FAILED = "failed";
+
+// A claim still processing after this long belongs to a job that crashed, well past any job's run time
+// and BullMQ's 60s job lock, so another job may take it over
+const CLAIM_STALE_MS = 10 * 60 * 1000;
+
+/**
+ * Claim a webhook event for processing, keyed on its X-Shopify-Webhook-Id
+ * @param {{shop: string, webhookId: string, type: string, jobId: string}} event - Webhook event and the job processing it
+ * @returns {Promise<boolean>} - False if the event was already processed, failed part way or is being processed by another live job
+ */
+export async function claimWebhookEvent({ shop, webhookId, type, jobId }) {
+  try {
+    await db.WebhookEvent.create({
+      data: {
+        shop,
+        webhookId,
+        type,
+        jobId: String(jobId),
+        status: STATUS_PROCESSING,
+      },
+    });
+    return true;
+  } catch (error) {
+    // P2002: unique constraint on webhookId, the event has been seen before
+    if (error.code !== "P2002") throw error;
+
+    const existing = await db.WebhookEvent.findUnique({ where: { webhookId } });
+    if (existing?.status !== STATUS_PROCESSING) return false;
+
+    // A stalled job picked up again by BullMQ still owns its claim
+    if (existing.jobId === String(jobId)) return true;
+
+    // Take over the claim of a job that crashed without releasing it, only one job can win it
+    if (Date.now() - existing.updatedAt.getTime() < CLAIM_STALE_MS) return false;
+    const { count } = await db.WebhookEvent.updateMany({
+      where: { webhookId, status: STATUS_PROCESSING, updatedAt: existing.updatedAt },
+      data: { jobId: String(jobId), updatedAt: new Date() },
+    });
+    return count > 0;
+  }
+}
+
+/**
+ * Mark a claimed webhook event as processed so replays become no-ops
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ */
+export async function completeWebhookEvent(webhookId) {
+  await db.WebhookEvent.update({
+    where: { webhookId },
+    data: { status: STATUS_PROCESSED },
+  });
+}
+
+/**
+ * Drop the claim on a webhook event that failed, so a retry can process it again
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ */
+export async function releaseWebhookEvent(webhookId) {
+  await db.WebhookEvent.deleteMany({
+    where: { webhookId, status: STATUS_PROCESSING },
+  });
+}
+
+/**
+ * Keep the claim on a webhook event that failed after it may have changed subSKU pools,
+ * so neither a retry nor Shopify's redelivery processes it again on top of the partial changes
+ * @param {string} webhookId - X-Shopify-Webhook-Id
+ * @param {string} error - Why it failed
+ */
+export async function failWebhookEvent(webhookId, error) {
+  await db.WebhookEvent.update({
+    where: { webhookId },
+    data: { status: STATUS_FAILED, error },
+  });
+}
@@ -0,0 +1,102 @@
+import { PrismaClient } from "@prisma/client";
+
+/**
+ * Scan for sub-SKU names that were issued more than once, from before every
+ * creation path took its numbers from the SKU's subSkuCounter. Reports:
+ *   - names held by more than one sub-SKU in a shop's pools
+ *   - names with more than one "created" ledger event
+ *   - SKUs whose counter is behind their highest sub-SKU number, and would issue it again
+ * Nothing is changed. The exit code is 1 when anything was found, so it can run in CI.
+ *
+ * Usage:
+ *   npm run check:subsku-duplicates -- [my-store.myshopify.com]
+ *
+ * The shop domain can also be passed through SHOP_DOMAIN. Without one, every shop is scanned.
+ */
+const prisma = new PrismaClient();
+
+function getSubSKUNumber(name) {
+  return parseInt(name?.split("-").pop() || "0") || 0;
+}
+
+async function findPoolDuplicates(shop) {
+  const skus = await prisma.SKU.findMany({
+    where: shop ? { shop } : {},
+    select: { shop: true, sku: true, subSKU: true, subSkuCounter: true },
+  });
+
+  const holders = new Map();
+  const staleCounters = [];
+
+  for (const sku of skus) {
+    for (const subSku of sku.subSKU || []) {
+      const key = `${sku.shop}\u0000${subSku?.name}`;
+      holders.set(key, [...(holders.get(key) || []), `${sku.sku} (${subSku?.status})`]);
+    }
+
+    const highestNumber = Math.max(0, ...(sku.subSKU || []).map((subSku) => getSubSKUNumber(subSku?.name)));
+    if (sku.subSkuCounter != null && sku.subSkuCounter < highestNumber) {
+      staleCounters.push({ shop: sku.shop, sku: sku.sku, counter: sku.subSkuCounter, highestNumber });
+    }
+  }
+
+  const duplicates = [...holders.entries()]
+    .filter(([, skuNames]) => skuNames.length > 1)
+    .map(([key, skuNames]) => {
+      const [skuShop, name] = key.split("\u0000");
+      return { shop: skuShop, name, holders: skuNames };
+    });
+
+  return { scanned: skus.length, duplicates, staleCounters };
+}
+
+async function findLedgerDuplicates(shop) {
+  const groups = await prisma.SubSKUEvent.groupBy({
+    by: ["shop", "sku", "subSKU"],
+    where: { event: "created", ...(shop && { shop }) },
+    _count: { _all: true },
+    having: { subSKU: { _count: { gt: 1 } } },
+  });
+
+  return groups.map((group) => ({
+    shop: group.shop,
+    sku: group.sku,
+    name: group.subSKU,
+    created: group._count._all,
+  }));
+}
+
+async function main() {
+  const shop = process.argv[2] || process.env.SHOP_DOMAIN || null;
+  console.log(`🔍 Checking sub-SKU names for duplicates in ${shop || "every shop"}`);
+
+  const { scanned, duplicates, staleCounters } = await findPoolDuplicates(shop);
+  const ledgerDuplicates = await findLedgerDuplicates(shop);
+
+  console.log(`📊 Scanned ${scanned} SKU(s)`);
+
+  for (const duplicate of duplicates) {
+    console.log(`❌ ${duplicate.shop}: ${duplicate.name} is held ${duplicate.holders.length} times, by ${duplicate.holders.join(", ")}`);
+  }
+  for (const duplicate of ledgerDuplicates) {
+    console.log(`❌ ${duplicate.shop}: ${duplicate.name} of ${duplicate.sku} was created ${duplicate.created} times`);
+  }
+  for (const counter of staleCounters) {
+    console.log(`⚠️ ${counter.shop}: ${counter.sku} counter is at ${counter.counter} but its pool goes up to ${counter.highestNumber}`);
+  }
+
+  const problems = duplicates.length + ledgerDuplicates.length + staleCounters.length;
+  if (problems > 0) {
+    console.log(`❌ Found ${duplicates.length} duplicate name(s) in pools, ${ledgerDuplicates.length} in the ledger and ${staleCounters.length} stale counter(s)`);
+    process.exitCode = 1;
+  } else {
+    console.log("✅ No duplicate sub-SKU names found");
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Duplicate check failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,61 @@
+import { PrismaClient } from "@prisma/client";
+
+/**
+ * One-off migration: stamp SKU and Product documents created before records
+ * were scoped per shop with the shop domain that owns them.
+ *
+ * Usage:
+ *   npm run migrate:stamp-shop -- my-store.myshopify.com
+ *
+ * The shop domain can also be passed through SHOP_DOMAIN. When neither is
+ * given and exactly one shop has a stored session, that shop is used.
+ */
+const prisma = new PrismaClient();
+
+const COLLECTIONS = ["SKU", "Product"];
+
+async function resolveShopDomain() {
+  const shop = process.argv[2] || process.env.SHOP_DOMAIN;
+  if (shop) return shop;
+
+  const sessions = await prisma.session.findMany({
+    select: { shop: true },
+    distinct: ["shop"],
+  });
+
+  if (sessions.length !== 1) {
+    throw new Error(
+      `Cannot infer shop domain, found ${sessions.length} shops with sessions. Pass the shop domain explicitly.`,
+    );
+  }
+
+  return sessions[0].shop;
+}
+
+async function main() {
+  const shop = await resolveShopDomain();
+  console.log(`🔄 Stamping unscoped documents with shop ${shop}`);
+
+  for (const collection of COLLECTIONS) {
+    // Raw command because documents without a shop cannot be read through the typed client
+    const result = await prisma.$runCommandRaw({
+      update: collection,
+      updates: [
+        {
+          q: { shop: { $exists: false } },
+          u: { $set: { shop } },
+          multi: true,
+        },
+      ],
+    });
+
+    console.log(`✅ ${collection}: ${result.nModified ?? 0} document(s) stamped`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Shop stamping failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());